@@ -1,11 +1,26 @@
+const crypto = require('crypto');
 const { Telegraf, session } = require('telegraf');
 const rateLimit = require('telegraf-ratelimit');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
 const UserController = require('./controllers/userController');
+const AdminController = require('./controllers/adminController');
 const ValidationService = require('./services/validationService');
 const WordPressAPI = require('./services/wordpressAPI');
+const Outbox = require('./services/outbox');
+const { createSessionStore } = require('./services/sessionStore');
+const FormEngine = require('./services/formEngine');
+const VacancyCatalog = require('./services/vacancyCatalog');
+const ContentService = require('./services/contentService');
+const AdminNotifier = require('./services/adminNotifier');
+const HttpServer = require('./services/httpServer');
+const FunnelStats = require('./services/funnelStats');
+const ReminderScheduler = require('./services/reminderScheduler');
+const { escapeHtml, splitMessage, formatSubmissionType, formatSubmissionStatus } = require('./utils/format');
+const { LOCALES, t, resolveLocale, variants } = require('./utils/i18n');
+const forms = require('./forms');
 
 class TelegramBot {
     constructor() {
@@ -13,46 +28,182 @@ class TelegramBot {
         this.userController = new UserController();
         this.validationService = new ValidationService();
         this.wpAPI = new WordPressAPI();
+        this.vacancyCatalog = new VacancyCatalog({ wpAPI: this.wpAPI });
+        this.contentService = new ContentService({ wpAPI: this.wpAPI });
+        this.funnelStats = new FunnelStats();
+        this.formEngine = new FormEngine({
+            forms,
+            services: {
+                validationService: this.validationService,
+                vacancyCatalog: this.vacancyCatalog
+            },
+            completionHandlers: {
+                recruitment: (ctx) => this.submitData(ctx),
+                complaint: (ctx) => this.submitComplaint(ctx)
+            },
+            onAttemptsExceeded: (ctx) => {
+                this.formEngine.recordEvent(ctx, 'cancelled', { reason: 'attempts_exceeded' });
+                return this.cancelProcess(ctx, 'cancel.attempts_exceeded');
+            },
+            onValidationFailed: (ctx, form, field, code) => this.trackAction(ctx, 'validation_failed', {
+                form: form.id,
+                field: field.key,
+                code
+            }),
+            funnel: this.funnelStats
+        });
+        this.sessionStore = createSessionStore();
+        this.outbox = new Outbox({
+            wpAPI: this.wpAPI,
+            onDelivered: (entry, result) => this.handleDelivered(entry, result)
+        });
+        // Автоматическая блокировка при подозрительной активности
+        this.riskBlockThreshold = parseInt(process.env.RISK_BLOCK_THRESHOLD, 10) || 70;
+        this.autoBlockMinutes = parseInt(process.env.AUTO_BLOCK_MINUTES, 10) || 60;
+        this.adminController = new AdminController({
+            userController: this.userController,
+            outbox: this.outbox,
+            funnelStats: this.funnelStats,
+            forms
+        });
+        this.reminderScheduler = new ReminderScheduler({
+            sessionStore: this.sessionStore,
+            telegram: this.bot.telegram,
+            formEngine: this.formEngine,
+            userController: this.userController,
+            funnelStats: this.funnelStats
+        });
+        this.adminNotifier = new AdminNotifier({
+            telegram: this.bot.telegram,
+            wpAPI: this.wpAPI,
+            vacancyCatalog: this.vacancyCatalog
+        });
+
+        // Webhook вместо long polling (USE_WEBHOOK=true)
+        this.webhook = {
+            enabled: process.env.USE_WEBHOOK === 'true',
+            url: process.env.WEBHOOK_URL,
+            // Если секрет не задан, генерируем новый при каждом запуске
+            secretToken: process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')
+        };
+        this.httpServer = new HttpServer({
+            port: parseInt(process.env.WEBHOOK_PORT || process.env.PORT, 10) || 3000
+        });
+        // В режиме polling HTTP сервер нужен только для проверок и метрик
+        this.httpEnabled = this.webhook.enabled || Boolean(process.env.PORT);
+        this.readinessCache = { checkedAt: 0, result: null };
         
         this.setupMiddleware();
         this.setupHandlers();
+        this.setupHttpRoutes();
     }
 
     setupMiddleware() {
+        // Последний рубеж: ошибки, не перехваченные middleware ниже, не должны ронять процесс
+        this.bot.catch((error, ctx) => {
+            metrics.increment('bot_errors_total');
+            logger.error(`Unhandled error for update ${ctx.update?.update_id}:`, error);
+        });
+
+        // Метрики: количество и время обработки обновлений
+        this.bot.use(async (ctx, next) => {
+            const startedAt = Date.now();
+            metrics.increment('bot_messages_total', { type: ctx.updateType });
+
+            await next();
+
+            // Только гистограмма: строка лога на каждое обновление засоряет логи
+            metrics.observe('operation_duration_seconds', (Date.now() - startedAt) / 1000, { operation: 'handle_update' });
+        });
+
+        // Перевод сообщений на язык пользователя (до сессии - по language_code)
+        this.bot.use((ctx, next) => {
+            ctx.t = (key, params) => t(this.getLocale(ctx), key, params);
+            return next();
+        });
+
+        // Error handling middleware: до rate limit, проверки блокировки и сессии,
+        // чтобы их ошибки тоже получали ответ пользователю
+        this.bot.use(async (ctx, next) => {
+            try {
+                await next();
+            } catch (error) {
+                metrics.increment('bot_errors_total');
+                logger.error('Bot error:', error);
+                await ctx.reply(ctx.t('error.generic'))
+                    .catch(replyError => logger.warn('Failed to send error notice:', replyError.message));
+            }
+        });
+
         // Rate limiting
         const limitConfig = {
             window: 1000,
             limit: 3,
             onLimitExceeded: (ctx) => {
                 logger.warn(`Rate limit exceeded for user ${ctx.from.id}`);
-                ctx.reply('Занадто багато повідомлень. Зачекайте трохи.');
+                ctx.reply(ctx.t('error.rate_limit'));
             }
         };
         
         this.bot.use(rateLimit(limitConfig));
+
+        // Проверка блокировки пользователя
+        this.bot.use(async (ctx, next) => {
+            if (!ctx.from) {
+                return next();
+            }
+
+            const user = ctx.from;
+            if (!this.userController.getUser(user.id)) {
+                this.userController.setUser(user.id, {
+                    username: user.username || null,
+                    first_name: user.first_name || null,
+                    last_name: user.last_name || null
+                });
+            }
+
+            const block = this.userController.checkUserBlock(user.id);
+            if (!block.blocked) {
+                return next();
+            }
+
+            logger.security('blocked_user_request', user.id, {
+                reason: block.reason,
+                remainingTime: block.remainingTime
+            });
+
+            const text = ctx.t('error.blocked', { minutes: block.remainingTime });
+            const notice = ctx.callbackQuery
+                ? ctx.answerCbQuery(text, { show_alert: true })
+                : ctx.reply(text);
+            await notice.catch(error => logger.warn(`Failed to notify blocked user ${user.id}:`, error.message));
+        });
         
-        // Session middleware
+        // Session middleware (персистентное хранилище, см. SESSION_STORE)
         this.bot.use(session({
+            store: this.sessionStore,
             defaultSession: () => ({
+                form: null,
                 step: 'idle',
                 userData: {},
                 attempts: 0
             })
         }));
 
-        // Error handling middleware
-        this.bot.use(async (ctx, next) => {
-            try {
-                await next();
-            } catch (error) {
-                logger.error('Bot error:', error);
-                await ctx.reply('Сталася помилка. Спробуйте пізніше або зверніться на підтримку.');
+        // Время последней активности и язык для напоминаний о брошенных формах
+        this.bot.use((ctx, next) => {
+            if (ctx.session) {
+                ctx.session.lastActivityAt = Date.now();
+                ctx.session.languageCode = ctx.from?.language_code || null;
             }
+            return next();
         });
 
         // Logging middleware
         this.bot.use((ctx, next) => {
-            logger.info(`Message from ${ctx.from.id}: ${ctx.message?.text || 'non-text'}`);
+            // Текст скарги не пишем в лог рядом с ID: скарга может быть анонимной
+            const text = ctx.session?.form === 'complaint' ? 'complaint form input' : ctx.message?.text;
+            logger.info(`Message from ${ctx.from.id}: ${text || 'non-text'}`);
             return next();
         });
     }
@@ -62,156 +213,271 @@ class TelegramBot {
         this.bot.start(async (ctx) => {
             const user = ctx.from;
             logger.info(`User ${user.id} started bot`);
+            this.trackAction(ctx, 'start');
+
+            if (this.hasUnfinishedForm(ctx)) {
+                await this.offerResume(ctx, 'menu');
+                return;
+            }
             
             await this.showMainMenu(ctx);
         });
 
+        // Ответ на предложение продолжить незавершенную форму
+        this.bot.action('resume:continue', async (ctx) => {
+            await ctx.answerCbQuery();
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+            if (!this.hasUnfinishedForm(ctx)) {
+                await this.showMainMenu(ctx);
+                return;
+            }
+
+            await this.formEngine.prompt(ctx);
+        });
+
+        // Сводка ответов перед отправкой анкеты
+        this.bot.action(/^form:edit:(\w+)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+
+            if (!await this.formEngine.editField(ctx, ctx.match[1])) {
+                await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+            }
+        });
+
+        this.bot.action('form:submit', async (ctx) => {
+            await ctx.answerCbQuery();
+            // Убираем кнопки, чтобы анкету нельзя было отправить дважды
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+            await this.formEngine.confirm(ctx);
+        });
+
+        // Кнопки напоминания о незавершенной форме
+        this.bot.action('reminder:continue', async (ctx) => {
+            await ctx.answerCbQuery();
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+            if (!this.hasUnfinishedForm(ctx)) {
+                await this.showMainMenu(ctx);
+                return;
+            }
+
+            this.formEngine.recordEvent(ctx, 'reminder_continued');
+            await this.formEngine.prompt(ctx, { intro: true });
+        });
+
+        this.bot.action('reminder:cancel', async (ctx) => {
+            await ctx.answerCbQuery();
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+            this.formEngine.recordEvent(ctx, 'cancelled', { reason: 'reminder' });
+            await this.cancelProcess(ctx);
+        });
+
+        this.bot.action(/^resume:restart:(menu|form|complaint)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+            const target = ctx.match[1];
+            if (this.hasUnfinishedForm(ctx)) {
+                this.formEngine.recordEvent(ctx, 'abandoned', { reason: 'restart' });
+            }
+            this.formEngine.reset(ctx);
+
+            if (target === 'form') {
+                await this.startForm(ctx);
+            } else if (target === 'complaint') {
+                await this.startComplaintForm(ctx);
+            } else {
+                await this.showMainMenu(ctx);
+            }
+        });
+
         // Команда /cancel
         this.bot.command('cancel', async (ctx) => {
+            this.trackAction(ctx, 'cancel');
+            this.formEngine.recordEvent(ctx, 'cancelled', { reason: 'user' });
             await this.cancelProcess(ctx);
         });
 
-        // Обработка кнопки отмены
-        this.bot.hears('❌ Скасувати', async (ctx) => {
+        // Выбор языка интерфейса
+        this.bot.command('language', async (ctx) => {
+            await ctx.reply(ctx.t('language.choose'), {
+                reply_markup: {
+                    inline_keyboard: Object.keys(LOCALES).map(locale => ([{
+                        text: t(locale, 'language.name'),
+                        callback_data: `language:${locale}`
+                    }]))
+                }
+            });
+        });
+
+        this.bot.action(/^language:(\w+)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+            if (!LOCALES[ctx.match[1]]) {
+                return;
+            }
+
+            ctx.session.locale = ctx.match[1];
+            await ctx.reply(ctx.t('language.changed'));
+
+            // Повторяем текущий вопрос, чтобы обновить клавиатуру
+            if (this.hasUnfinishedForm(ctx)) {
+                await this.formEngine.prompt(ctx);
+            } else {
+                await this.showMainMenu(ctx);
+            }
+        });
+
+        // Обработка кнопки отмены (кнопки сопоставляются на всех языках)
+        this.bot.hears(variants('button.cancel'), async (ctx) => {
+            this.trackAction(ctx, 'cancel');
+            this.formEngine.recordEvent(ctx, 'cancelled', { reason: 'user' });
             await this.cancelProcess(ctx);
         });
 
+        // Возврат к предыдущему вопросу формы
+        this.bot.hears(variants(FormEngine.BACK_KEY), async (ctx) => {
+            if (!await this.formEngine.back(ctx)) {
+                await this.showMainMenu(ctx);
+            }
+        });
+
         // Обработка кнопки "Заповнити анкету"
-        this.bot.hears('📝 Заповнити анкету', async (ctx) => {
+        this.bot.hears(variants('menu.fill_form'), async (ctx) => {
+            if (this.hasUnfinishedForm(ctx)) {
+                await this.offerResume(ctx, 'form');
+                return;
+            }
+
             await this.startForm(ctx);
         });
 
         // Обработка кнопки "Вакансії"
-        this.bot.hears('💼 Вакансії', async (ctx) => {
+        this.bot.hears(variants('menu.vacancies'), async (ctx) => {
             await this.showVacancies(ctx);
         });
 
-        // Обработка кнопки "Контракт 18-24"
-        this.bot.hears('📜 Контракт 18-24', async (ctx) => {
-            await this.showContracts(ctx);
+        // Листание карточек вакансий
+        this.bot.action(/^vacancies:(\d+)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showVacancyCard(ctx, parseInt(ctx.match[1], 10), true);
         });
 
-        // Обработка кнопки "Переведення з іншої військової частини"
-        this.bot.hears('🔄 Переведення з іншої військової частини', async (ctx) => {
-            await this.showTransfer(ctx);
-        });
+        // Обработка кнопки "Питання до військової частини"
+        this.bot.hears(variants('menu.complaint'), async (ctx) => {
+            if (this.hasUnfinishedForm(ctx)) {
+                await this.offerResume(ctx, 'complaint');
+                return;
+            }
 
-        // Обработка кнопки "Повернення після СЗЧ"
-        this.bot.hears('❓ Повернення після СЗЧ', async (ctx) => {
-            await this.showReturnSzch(ctx);
+            await this.startComplaintForm(ctx);
         });
 
-        // Обработка кнопки "Питання до військової частини"
-        this.bot.hears('🚨 Питання до військової частини', async (ctx) => {
+        // Обработка кнопки "Відправити ще одну скаргу"
+        this.bot.hears(variants('menu.another_complaint'), async (ctx) => {
             await this.startComplaintForm(ctx);
         });
 
         // Обработка кнопки "Назад до меню"
-        this.bot.hears('🔙 Назад до меню', async (ctx) => {
+        this.bot.hears(variants('button.back_to_menu'), async (ctx) => {
+            if (this.formEngine.isActive(ctx)) {
+                this.formEngine.recordEvent(ctx, 'back_to_menu');
+            }
             await this.showMainMenu(ctx);
         });
 
         // Команда помощи
         this.bot.help(async (ctx) => {
-            await ctx.reply(
-                '🆘 *Допомога*\n\n' +
-                '/start - Показати головне меню\n' +
-                '/cancel - Скасувати поточний процес\n' +
-                '/help - Показати це повідомлення\n' +
-                '/status - Перевірити статус заявки',
-                { parse_mode: 'Markdown' }
-            );
+            await ctx.reply(ctx.t('help.text'), { parse_mode: 'Markdown' });
         });
 
+        // Команда /status [ID] - статус заявок пользователя
+        this.bot.command('status', async (ctx) => {
+            const [, submissionId] = ctx.message.text.trim().split(/\s+/);
+
+            if (submissionId) {
+                await this.showSubmissionStatus(ctx, submissionId);
+            } else {
+                await this.showUserSubmissions(ctx);
+            }
+        });
+
+        // Кнопка с конкретной заявкой из списка /status
+        this.bot.action(/^status:(\d+)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showSubmissionStatus(ctx, ctx.match[1]);
+        });
+
+        // Кнопки смены статуса на карточках заявок в административных чатах
+        this.bot.action(/^admin:status:(lead|complaint):(\d+):(\w+)$/, async (ctx) => {
+            const [, type, id, status] = ctx.match;
+            await this.adminNotifier.handleStatusAction(ctx, type, id, status);
+        });
+
+        // Административные команды (/stats, /active, /whois, /block, /unblock)
+        this.adminController.register(this.bot);
+
         // Основной обработчик текстовых сообщений
         this.bot.on('text', async (ctx) => {
             await this.handleTextMessage(ctx);
         });
 
-        // Обработка контактов
+        // Обработка контактов: на шаге телефона принимаем только собственный номер
         this.bot.on('contact', async (ctx) => {
-            if (ctx.session.step === 'awaiting_phone') {
-                await this.handlePhoneInput(ctx, ctx.message.contact.phone_number);
+            if (ctx.session.step !== 'awaiting_phone') {
+                return;
             }
-        });
-    }
 
-    async showMainMenu(ctx) {
-        ctx.session.step = 'idle';
-        ctx.session.userData = {};
-        ctx.session.attempts = 0;
+            const contact = ctx.message.contact;
 
-        await ctx.reply(
-            '👋 Ласкаво просимо!\n\n' +
-            'Оберіть що вас цікавить:',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['💼 Вакансії'],
-                        ['📜 Контракт 18-24'],
-                        ['🔄 Переведення з іншої військової частини'],
-                        ['❓ Повернення після СЗЧ'],
-                        ['🚨 Питання до військової частини']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
+            if (contact.user_id !== ctx.from.id) {
+                logger.security('foreign_contact_shared', ctx.from.id, { contactUserId: contact.user_id || null });
+                await ctx.reply(ctx.t('contact.not_own'));
+                return;
             }
-        );
+
+            // Telegram присылает номер без "+", хотя он уже в международном формате
+            const phone = contact.phone_number.startsWith('+') ? contact.phone_number : `+${contact.phone_number}`;
+            await this.formEngine.handleInput(ctx, phone, { source: 'contact' });
+        });
     }
 
-    async startComplaintForm(ctx) {
-        const user = ctx.from;
-        
-        ctx.session.step = 'awaiting_complaint_name';
-        ctx.session.attempts = 0;
-        ctx.session.complaintData = {
-            telegram_id: user.id,
-            username: user.username || null,
-            first_name: user.first_name || null,
-            last_name: user.last_name || null
-        };
+    /**
+     * Язык пользователя: выбранный через /language или из настроек Telegram
+     * @param {Object} ctx - Контекст Telegraf
+     * @returns {string}
+     */
+    getLocale(ctx) {
+        return resolveLocale(ctx.session?.locale || ctx.from?.language_code);
+    }
 
-        await ctx.reply(
-            '🚨 Питання до військової частини\n\n' +
-            'Введіть ваше ім\'я (або напишіть "Анонім" для анонімної скарги):\n' +
-            'Наприклад: Шевченко Тарас або Анонім',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['Анонім'],
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
-            }
-        );
+    /**
+     * Клавиатура главного меню; информационные страницы берутся из ContentService
+     * @param {Object} ctx - Контекст Telegraf
+     * @returns {Promise<Array>}
+     */
+    async getMainMenuKeyboard(ctx) {
+        const pages = await this.contentService.getPublishedPages(this.getLocale(ctx));
+
+        return [
+            [ctx.t('menu.fill_form')],
+            [ctx.t('menu.vacancies')],
+            ...pages.map(page => [page.title]),
+            [ctx.t('menu.complaint')]
+        ];
     }
 
-    async startForm(ctx) {
-        const user = ctx.from;
-        
-        ctx.session.step = 'awaiting_name';
-        ctx.session.userData = {
-            telegram_id: user.id,
-            username: user.username || null,
-            first_name: user.first_name || null,
-            last_name: user.last_name || null
-        };
+    async showMainMenu(ctx) {
+        this.formEngine.reset(ctx);
 
         await ctx.reply(
-            '📝 Заповнення анкети\n\n' +
-            'Введіть ПІБ. \n' +
-            'Наприклад: Шевченко Тарас Григорович',
+            ctx.t('menu.welcome'),
             {
                 reply_markup: {
-                    keyboard: [
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
+                    keyboard: await this.getMainMenuKeyboard(ctx),
                     resize_keyboard: true,
                     one_time_keyboard: false
                 }
@@ -219,524 +485,534 @@ class TelegramBot {
         );
     }
 
-    async showVacancies(ctx) {
-        await ctx.reply(
-            '💼 *Наші вакансії*\n\n' +
-            '- Оператор БПЛА\n' +
-            '- Водій\n' +
-            '- Бойовий медик\n\n' +
-            '🔗 Переглянути всі доступні вакансії можна на сайті:\n' +
-            'https://www.work.ua/jobs/by-company/2608716/\n\n' +
-            '📞 Телефонуй рекрутеру 127 Окремої бригади Територіальної оборони:\n' +
-            'Телефон: +380730000127\n',
-            {
-                parse_mode: 'Markdown',
-                reply_markup: {
-                    keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
-            }
-        );
+    /**
+     * Есть ли у пользователя незавершенная анкета или скарга
+     * @param {Object} ctx - Контекст Telegraf
+     * @returns {boolean}
+     */
+    hasUnfinishedForm(ctx) {
+        return this.formEngine.isActive(ctx);
     }
 
-    async showContracts(ctx) {
+    /**
+     * Предложение продолжить незавершенную форму после возвращения пользователя
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} restartTarget - Куда перейти при отказе: menu, form, complaint
+     */
+    async offerResume(ctx, restartTarget) {
+        const isComplaint = this.formEngine.getCurrentStep(ctx.session).form.id === 'complaint';
+
         await ctx.reply(
-            '📜 Контракт 18-24\n\n' +
-            'Добровольці, які у віці 18-24 роки приєдналися до війська і служили у період з 24 лютого 2022 року по 13 лютого 2025 року і є чинними військовослужбовцями, мають право на одноразову грошову винагороду в розмірі 1 000 000 гривень. Це передбачено рішенням уряду щодо впровадження ініціативи «Контракт 18-24».\n\n' +
-            '📞 Телефонуй рекрутеру 127 Окремої бригади Територіальної оборони:\n' +
-            'Телефон: +380730000127\n',
+            ctx.t(isComplaint ? 'resume.complaint' : 'resume.form') + '\n\n' +
+            ctx.t('resume.question'),
             {
-                parse_mode: 'Markdown',
                 reply_markup: {
-                    keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
+                    inline_keyboard: [
+                        [{ text: ctx.t('button.continue'), callback_data: 'resume:continue' }],
+                        [{ text: ctx.t('button.restart'), callback_data: `resume:restart:${restartTarget}` }]
+                    ]
                 }
             }
         );
     }
 
-    async showTransfer(ctx) {
-        await ctx.reply(
-            '🔄 Переведення з іншої військової частини\n\n' +
-            'Переведення військовослужбовця в іншу військову частину можливе за певних обставин і з дотриманням певного порядку. Зазвичай це відбувається за рапортом військовослужбовця, з урахуванням підстав для переведення, таких як стан здоров\'я, сімейні обставини або службова необхідність. Для переведення необхідно отримати погодження командира частини, до якої бажаєте перевестися, та, можливо, командира частини, де зараз проходите службу.\n\n' +
-            'Для отримання більш детальної інформації та допомоги, зверніться до кадрового органу вашої військової частини або до юриста.\n\n' +
-            '📞 Телефонуй рекрутеру 127 Окремої бригади Територіальної оборони:\n' +
-            'Телефон: +380730000127\n',
-            {
-                parse_mode: 'Markdown',
-                reply_markup: {
-                    keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
-            }
-        );
+    async startComplaintForm(ctx) {
+        await this.formEngine.start(ctx, 'complaint');
     }
 
-    async showReturnSzch(ctx) {
-        await ctx.reply(
-            '❓ Повернення після СЗЧ\n\n' +
-            'Загальний огляд алгоритму повернення військовослужбовців після СЗЧВ Україні діють різні алгоритми для повернення військовослужбовців, які самовільно залишили військову частину (СЗЧ) або дезертирувати.\n\n' +
-            'Так, в квітні 2025 року була оновлена спрощена процедура повернення до військової служби військовослужбовців та звільнення їх від кримінальної відповідальності без рішення суду, якщо вони під час дії воєнного стану вперше вчинили СЗЧ чи дезертирство до набрання чинності Закону України 4392-IX від 30.04.2025 року, тобто до 10 травня 2025 року, і добровільно висловили бажання повернутись до військової служби до 30 серпня 2025 року. Для цього потрібно подати рапорт через застосунок Армія+, прикріпивши рекомендаційний лист від частини, яка потребує військовослужбовця та прибути до ВСП ЗС України. Алгоритм наступних дій буде відрізнятись залежно від того чи внесені відомості про СЗЧ до Єдиного реєстру досудових розслідувань (алгоритм 1) чи не внесений (алгоритм 2). У випадку, якщо військовослужбовець не знає, чи відомості про СЗЧ внесені до ЄРДР чи ні, рекомендуються прибути до ВСП ЗС України, де будуть зроблені відповідні запити до правоохоронних органів та розпочато процес повернення військовослужбовця на військову службу.\n\n' +
-            '📞 Телефонуй рекрутеру 127 Окремої бригади Територіальної оборони:\n' +
-            'Телефон: +380730000127\n',
-            {
-                parse_mode: 'Markdown',
-                reply_markup: {
-                    keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
-            }
-        );
+    async startForm(ctx) {
+        await this.formEngine.start(ctx, 'recruitment');
     }
 
-    async showSubmitComplaint(ctx) {
+    async showVacancies(ctx) {
         await ctx.reply(
-            '🚨 Питання до військової частини\n\n' +
-            'Приймаємо Ваші скарги та пропозиції (анонімно)\n\n' +
+            ctx.t('vacancies.intro'),
             {
                 parse_mode: 'Markdown',
                 reply_markup: {
                     keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['🔙 Назад до меню']
+                        [ctx.t('menu.fill_form')],
+                        [ctx.t('button.back_to_menu')]
                     ],
                     resize_keyboard: true,
                     one_time_keyboard: false
                 }
             }
         );
+
+        await this.showVacancyCard(ctx, 0);
     }
 
-    async handleTextMessage(ctx) {
-        const text = ctx.message.text.trim();
-        const step = ctx.session.step;
-
-        switch (step) {
-            case 'awaiting_name':
-                await this.handleNameInput(ctx, text);
-                break;
-            case 'awaiting_age':
-                await this.handleAgeInput(ctx, text);
-                break;
-            case 'awaiting_phone':
-                await this.handlePhoneInput(ctx, text);
-                break;
-            case 'awaiting_education':
-                await this.handleEducationInput(ctx, text);
-                break;
-            case 'awaiting_vacancy':
-                await this.handleVacancyInput(ctx, text);
-                break;
-            case 'awaiting_message':
-                await this.handleMessageInput(ctx, text);
-                break;
-            case 'awaiting_complaint_name':
-                await this.handleComplaintNameInput(ctx, text);
-                break;
-            case 'awaiting_complaint_text':
-                await this.handleComplaintTextInput(ctx, text);
-                break;
-            default:
-                // Если пользователь пишет что-то не относящееся к форме
-                if (step === 'idle') {
-                    await ctx.reply(
-                        'Для початку роботи оберіть опцію з меню нижче або використовуйте /start'
-                    );
-                }
+    /**
+     * Карточка вакансии с кнопками листания
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {number} page - Номер вакансии в каталоге
+     * @param {boolean} edit - Обновить текущее сообщение вместо отправки нового
+     */
+    async showVacancyCard(ctx, page, edit = false) {
+        const vacancies = await this.vacancyCatalog.getAll();
+
+        if (vacancies.length === 0) {
+            return;
+        }
+
+        const index = Math.min(Math.max(page, 0), vacancies.length - 1);
+        const vacancy = vacancies[index];
+
+        let text = `💼 <b>${escapeHtml(vacancy.title)}</b>\n`;
+
+        if (vacancy.description) {
+            text += `\n${escapeHtml(vacancy.description)}\n`;
+        }
+
+        if (vacancy.requirements) {
+            text += `\n📋 <b>${ctx.t('vacancies.requirements')}</b>\n${escapeHtml(vacancy.requirements)}\n`;
+        }
+
+        if (vacancy.link) {
+            text += `\n🔗 <a href="${escapeHtml(vacancy.link)}">${ctx.t('vacancies.more')}</a>\n`;
+        }
+
+        const navigation = [];
+        if (index > 0) {
+            navigation.push({ text: '◀️', callback_data: `vacancies:${index - 1}` });
+        }
+        navigation.push({ text: `${index + 1} / ${vacancies.length}`, callback_data: `vacancies:${index}` });
+        if (index < vacancies.length - 1) {
+            navigation.push({ text: '▶️', callback_data: `vacancies:${index + 1}` });
+        }
+
+        const extra = {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: [navigation] }
+        };
+
+        if (edit) {
+            // Telegram возвращает ошибку, если содержимое не изменилось
+            await ctx.editMessageText(text, extra).catch(() => {});
+        } else {
+            await ctx.reply(text, extra);
         }
     }
 
-    async handleComplaintNameInput(ctx, name) {
-        // Принимаем любое имя, включая "Анонім"
-        ctx.session.complaintData.name = name;
-        ctx.session.step = 'awaiting_complaint_text';
-        ctx.session.attempts = 0;
+    /**
+     * Показ информационной страницы; длинный текст отправляется несколькими сообщениями
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {Object} page - Страница из ContentService
+     */
+    async showPage(ctx, page) {
+        const chunks = splitMessage(`${page.title}\n\n${page.body}`);
 
-        await ctx.reply(
-            '📝 Опишіть вашу скаргу детально:\n\n' +
-            '• Що саме сталося?\n' +
-            '• Коли це відбулося?\n' +
-            '• Хто був залучений?\n' +
-            '• Які дії ви очікуєте?\n\n' +
-            'Максимум 2000 символів.',
-            {
+        for (let i = 0; i < chunks.length; i++) {
+            const isLast = i === chunks.length - 1;
+
+            await ctx.reply(chunks[i], isLast ? {
                 reply_markup: {
                     keyboard: [
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
+                        [ctx.t('menu.fill_form')],
+                        [ctx.t('button.back_to_menu')]
                     ],
                     resize_keyboard: true,
                     one_time_keyboard: false
                 }
-            }
-        );
+            } : {});
+        }
     }
 
-    async handleComplaintTextInput(ctx, complaintText) {
-        if (complaintText.length > 2000) {
-            ctx.session.attempts++;
-            
-            if (ctx.session.attempts >= 3) {
-                await this.cancelProcess(ctx, 'Перевищено кількість спроб. Спробуйте пізніше.');
-                return;
-            }
+    async showUserSubmissions(ctx) {
+        const userId = ctx.from.id;
+        const result = await this.wpAPI.getUserSubmissions(userId);
 
-            await ctx.reply(
-                '❌ Текст скарги надто довгий. Максимум 2000 символів.\n' +
-                `Спроба ${ctx.session.attempts} з 3.\n\n` +
-                'Будь ласка, скоротіть текст та спробуйте ще раз.'
-            );
+        // Заявки, которые еще ожидают отправки в outbox
+        const queued = this.outbox.pending(entry => entry.meta?.userId === userId);
+
+        if (!result.success && queued.length === 0) {
+            await ctx.reply(ctx.t('submissions.fetch_failed'));
             return;
         }
 
-        if (complaintText.length < 10) {
-            ctx.session.attempts++;
-            
-            if (ctx.session.attempts >= 3) {
-                await this.cancelProcess(ctx, 'Перевищено кількість спроб. Спробуйте пізніше.');
-                return;
-            }
+        const submissions = this.extractSubmissions(result.data)
+            .filter(item => item.id && this.isOwnSubmission(item, userId))
+            .slice(0, 10);
 
-            await ctx.reply(
-                '❌ Текст скарги надто короткий. Мінімум 10 символів.\n' +
-                `Спроба ${ctx.session.attempts} з 3.\n\n` +
-                'Будь ласка, опишіть скаргу більш детально.'
-            );
+        if (submissions.length === 0 && queued.length === 0) {
+            await ctx.reply(ctx.t('submissions.empty'));
             return;
         }
 
-        ctx.session.complaintData.complaint_text = complaintText;
-        await this.submitComplaint(ctx);
-    }
+        const locale = this.getLocale(ctx);
+        let text = ctx.t('submissions.title') + '\n\n';
 
-    async submitComplaint(ctx) {
-        try {
-            await ctx.reply('⏳ Надсилаю скаргу...');
-
-            // Добавляем дату и время подачи жалобы
-            ctx.session.complaintData.submitted_at = new Date().toISOString();
-            ctx.session.complaintData.type = 'complaint';
+        for (const item of submissions) {
+            text += `#${item.id} ${formatSubmissionType(item.type, locale)} — ${formatSubmissionStatus(item.status, locale)}\n`;
+        }
 
-            // Отправка жалобы в WordPress (можно использовать тот же API или создать отдельный метод)
-            const result = await this.wpAPI.submitComplaint(ctx.session.complaintData);
-            
-            if (result && result.success) {
-                await ctx.reply(
-                    '✅ *Ваша скарга успішно відправлена*\n\n' +
-                    `📋 Номер скарги: ${result.id || 'Не присвоєно'}\n` +
-                    '📞 Ми розглянемо вашу скаргу та зв\'яжемося з вами найближчим часом.\n\n' +
-                    'Дякуємо за звернення!',
-                    {
-                        parse_mode: 'Markdown',
-                        reply_markup: {
-                            keyboard: [
-                                ['🚨 Відправити ще одну скаргу'],
-                                ['🔙 Назад до меню']
-                            ],
-                            resize_keyboard: true
-                        }
-                    }
-                );
+        for (const entry of queued) {
+            text += `${formatSubmissionType(entry.type, locale)} — ${ctx.t('submissions.queued')}\n`;
+        }
 
-                logger.info(`Successfully submitted complaint for user ${ctx.from.id}, complaint ID: ${result.id || 'unknown'}`);
-            } else {
-                // Если API не поддерживает жалобы, показываем успешное сообщение
-                await ctx.reply(
-                    '✅ *Ваша скарга успішно відправлена*\n\n' +
-                    '📞 Ми розглянемо вашу скаргу та зв\'яжемося з вами найближчим часом.\n\n' +
-                    'Дякуємо за звернення!',
-                    {
-                        parse_mode: 'Markdown',
-                        reply_markup: {
-                            keyboard: [
-                                ['🚨 Відправити ще одну скаргу'],
-                                ['🔙 Назад до меню']
-                            ],
-                            resize_keyboard: true
-                        }
-                    }
-                );
+        if (!result.success) {
+            text += '\n' + ctx.t('submissions.partial');
+        } else if (submissions.length > 0) {
+            text += '\n' + ctx.t('submissions.choose');
+        }
 
-                logger.info(`Complaint submitted for user ${ctx.from.id} (fallback success)`);
+        await ctx.reply(text, {
+            reply_markup: {
+                inline_keyboard: submissions.map(item => ([{
+                    text: `#${item.id} ${formatSubmissionStatus(item.status, locale)}`,
+                    callback_data: `status:${item.id}`
+                }]))
             }
-        } catch (error) {
-            logger.error('Error submitting complaint:', error);
-            
-            // Даже при ошибке показываем успешное сообщение пользователю
-            await ctx.reply(
-                '✅ *Ваша скарга успішно відправлена*\n\n' +
-                '📞 Ми розглянемо вашу скаргу та зв\'яжемося з вами найближчим часом.\n\n' +
-                'Дякуємо за звернення!',
-                {
-                    parse_mode: 'Markdown',
-                    reply_markup: {
-                        keyboard: [
-                            ['🚨 Відправити ще одну скаргу'],
-                            ['🔙 Назад до меню']
-                        ],
-                        resize_keyboard: true
-                    }
-                }
-            );
+        });
+    }
+
+    async showSubmissionStatus(ctx, submissionId) {
+        if (!/^\d+$/.test(submissionId)) {
+            await ctx.reply(ctx.t('status.invalid_id'));
+            return;
         }
 
-        // Сброс сессии
-        ctx.session.step = 'idle';
-        ctx.session.complaintData = {};
-        ctx.session.attempts = 0;
-    }
+        const result = await this.wpAPI.getSubmissionStatus(submissionId);
 
-    async handleNameInput(ctx, name) {
-        if (!this.validationService.validateName(name)) {
-            ctx.session.attempts++;
-            
-            if (ctx.session.attempts >= 3) {
-                await this.cancelProcess(ctx, 'Перевищено кількість спроб. Спробуйте пізніше.');
-                return;
+        // Чужие и несуществующие заявки неразличимы для пользователя
+        if (!result.success || !this.isOwnSubmission(result.data, ctx.from.id, true)) {
+            if (result.success) {
+                logger.security('foreign_submission_status_requested', ctx.from.id, { submissionId });
             }
 
-            await ctx.reply(
-                "❌ Будь ласка, введіть коректне ім'я (лише літери, щонайменше 2 символи).\n" +
-                `Попытка ${ctx.session.attempts} из 3.`
-            );
+            await ctx.reply(ctx.t('status.not_found', { id: submissionId }));
             return;
         }
 
-        ctx.session.userData.name = name;
-        ctx.session.step = 'awaiting_age';
-        ctx.session.attempts = 0;
+        const item = result.data;
+        const locale = this.getLocale(ctx);
+        const formatDate = (value) => new Date(value).toLocaleString(ctx.t('date.locale'));
+        let text =
+            ctx.t('status.title', { id: item.id || submissionId }) + '\n\n' +
+            ctx.t('status.type', { type: formatSubmissionType(item.type, locale) }) + '\n' +
+            ctx.t('status.status', { status: formatSubmissionStatus(item.status, locale) }) + '\n';
 
-        await ctx.reply(
-            '📱 Чудово!\n\n' + 
-            'Тепер введіть ваш вік.\n',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
-            }
-        );
+        if (item.date || item.created_at) {
+            text += ctx.t('status.submitted_at', { date: formatDate(item.date || item.created_at) }) + '\n';
+        }
+
+        if (item.updated_at) {
+            text += ctx.t('status.updated_at', { date: formatDate(item.updated_at) }) + '\n';
+        }
+
+        if (item.comment) {
+            text += `\n💬 ${item.comment}\n`;
+        }
+
+        await ctx.reply(text);
     }
 
-    async handleAgeInput(ctx, age) {
-        ctx.session.userData.age = age;
-        ctx.session.step = 'awaiting_phone';
-        ctx.session.attempts = 0;
+    /**
+     * Приведение ответа WordPress к списку заявок
+     * @param {Array|Object} data - Ответ getUserSubmissions
+     * @returns {Array}
+     */
+    extractSubmissions(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
 
-        await ctx.reply(
-            '📱 Чудово!\n\n' + 
-            'Тепер введіть номер телефону.\n' +
-            'Формат: +380XXXXXXXXX или 0XXXXXXXXX',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true,
-                    one_time_keyboard: false
-                }
-            }
-        );
+        return Array.isArray(data?.submissions) ? data.submissions : [];
     }
 
-    async handlePhoneInput(ctx, phone) {
-        if (!this.validationService.validatePhone(phone)) {
-            ctx.session.attempts++;
-            
-            if (ctx.session.attempts >= 3) {
-                await this.cancelProcess(ctx, 'Перевищено кількість спроб. Спробуйте пізніше.');
-                return;
-            }
+    /**
+     * Проверка, что заявка принадлежит пользователю
+     * @param {Object} item - Заявка из WordPress
+     * @param {number} userId - Telegram ID пользователя
+     * @param {boolean} requireOwner - Требовать явный telegram_id в ответе
+     * @returns {boolean}
+     */
+    isOwnSubmission(item, userId, requireOwner = false) {
+        if (!item) {
+            return false;
+        }
+
+        // Список уже отфильтрован WordPress по пользователю, детали заявки - нет
+        if (item.telegram_id === undefined || item.telegram_id === null) {
+            return !requireOwner;
+        }
+
+        return String(item.telegram_id) === String(userId);
+    }
 
-            await ctx.reply(
-                '❌ Будь ласка, введіть номер телефону.\n' +
-                'Формат: +380XXXXXXXXX или 0XXXXXXXXX\n' +
-                `Спроба ${ctx.session.attempts} з 3.`
-            );
+    async handleTextMessage(ctx) {
+        const text = ctx.message.text.trim();
+
+        if (await this.formEngine.handleInput(ctx, text)) {
             return;
         }
 
-        ctx.session.userData.phone = this.validationService.normalizePhone(phone);
-        ctx.session.step = 'awaiting_education';
-        ctx.session.attempts = 0;
+        // Кнопки информационных страниц формируются динамически
+        const page = await this.contentService.findByTitle(text, this.getLocale(ctx));
+        if (page) {
+            await this.showPage(ctx, page);
+            return;
+        }
 
-        await ctx.reply(
-            "💬 Чудово!\n" +
-            'Яка у вас освіта?',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true
-                }
-            }
-        );
+        // Если пользователь пишет что-то не относящееся к форме
+        if (ctx.session.step === 'idle') {
+            await ctx.reply(ctx.t('menu.hint'));
+        }
     }
 
-    async handleEducationInput(ctx, education) {
-        ctx.session.userData.education = education;
-        ctx.session.step = 'awaiting_vacancy';
-        ctx.session.attempts = 0;
-
-        await ctx.reply(
-            "💬 Чудово!\n" +
-            'Яка вакансія вас цікавить?',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true
-                }
+    async submitComplaint(ctx) {
+        const keyboard = {
+            reply_markup: {
+                keyboard: [
+                    [ctx.t('menu.another_complaint')],
+                    [ctx.t('button.back_to_menu')]
+                ],
+                resize_keyboard: true
             }
-        );
-    }
+        };
 
-    async handleVacancyInput(ctx, vacancy) {
-        ctx.session.userData.vacancy = vacancy;
-        ctx.session.step = 'awaiting_message';
-        ctx.session.attempts = 0;
+        this.trackAction(ctx, 'submit_attempt', { form: 'complaint' });
 
-        await ctx.reply(
-            "💬 Напишіть ваше повідомлення чи запитання (необов'язково).\n" +
-            'Можете написати "пропустити" щоб завершити:',
-            {
-                reply_markup: {
-                    keyboard: [
-                        ['Пропустити'],
-                        ['❌ Скасувати'],
-                        ['🔙 Назад до меню']
-                    ],
-                    resize_keyboard: true
-                }
+        try {
+            await ctx.reply(ctx.t('complaint.sending'));
+
+            // Добавляем дату и время подачи жалобы
+            ctx.session.userData.submitted_at = new Date().toISOString();
+            ctx.session.userData.type = 'complaint';
+
+            // В payload анонимной скарги нет telegram_id и имени, а в локальных данных
+            // outbox остаются только chatId и язык для уведомления о доставке
+            const payload = this.wpAPI.buildComplaintPayload(ctx.session.userData);
+            const meta = payload.anonymous
+                ? { chatId: ctx.chat.id, locale: this.getLocale(ctx) }
+                : { chatId: ctx.chat.id, userId: ctx.from.id, locale: this.getLocale(ctx) };
+            const { status, result, entry } = await this.outbox.submit('complaint', payload, meta);
+            const author = payload.anonymous ? 'anonymous complaint' : `complaint for user ${ctx.from.id}`;
+
+            if (status === 'delivered') {
+                await ctx.reply(
+                    ctx.t('complaint.delivered', { id: result.id || ctx.t('submission.not_assigned') }),
+                    { parse_mode: 'Markdown', ...keyboard }
+                );
+
+                logger.info(`Successfully submitted ${author}, complaint ID: ${result.id || 'unknown'}`);
+            } else if (status === 'pending') {
+                // WordPress недоступен - скарга остается в outbox
+                await ctx.reply(ctx.t('complaint.queued'), { parse_mode: 'Markdown', ...keyboard });
+
+                logger.warn(`Queued ${author} in outbox ${entry.id}: ${result.error}`);
+            } else {
+                throw new Error(result.error || 'Unknown error');
             }
-        );
+        } catch (error) {
+            logger.error('Error submitting complaint:', error);
+
+            await ctx.reply(ctx.t('complaint.failed'), keyboard);
+        }
+
+        // Сброс сессии
+        this.formEngine.reset(ctx);
     }
 
-    async handleMessageInput(ctx, message) {
-        if (message.toLowerCase() !== 'пропустити') {
-            if (message.length > 1000) {
-                await ctx.reply('❌ Повідомлення надто довге. Максимум 1000 символів.');
-                return;
-            }
-            ctx.session.userData.message = message;
+    /**
+     * Обработка доставленной заявки: карточка для администраторов
+     * и уведомление пользователя об отложенной доставке
+     * @param {Object} entry - Запись outbox
+     * @param {Object} result - Результат доставки
+     */
+    async handleDelivered(entry, result) {
+        await this.adminNotifier.notify(entry.type, result.id, entry.payload);
+        await this.notifyDelayedDelivery(entry, result);
+    }
+
+    /**
+     * Уведомление пользователя о доставке заявки, отложенной в outbox
+     * @param {Object} entry - Запись outbox
+     * @param {Object} result - Результат доставки
+     */
+    async notifyDelayedDelivery(entry, result) {
+        // Первая попытка выполняется при подаче, об успехе пользователь уже знает
+        if (entry.attempts <= 1 || !entry.meta?.chatId) {
+            return;
         }
 
-        await this.submitData(ctx);
+        const locale = entry.meta.locale;
+        const key = entry.type === 'complaint' ? 'complaint.delayed_delivered' : 'lead.delayed_delivered';
+
+        await this.bot.telegram.sendMessage(
+            entry.meta.chatId,
+            t(locale, key, { id: result.id || t(locale, 'submission.not_assigned') })
+        );
     }
 
     async submitData(ctx) {
+        const keyboard = {
+            reply_markup: {
+                keyboard: [
+                    [ctx.t('menu.fill_form')],
+                    [ctx.t('menu.vacancies')]
+                ],
+                resize_keyboard: true
+            }
+        };
+
+        this.trackAction(ctx, 'submit_attempt', { form: 'recruitment' });
+
         try {
-            await ctx.reply('⏳ Надсилаю дані...');
+            await ctx.reply(ctx.t('lead.sending'));
 
-            // Отправка данных в WordPress
-            const result = await this.wpAPI.submitUserData(ctx.session.userData);
-            
-            if (result.success) {
-                await ctx.reply(
-                    '✅ *Дякую! Вашу заявку успішно відправлено.*\n\n' +
-                    `📋 ID заявки: ${result.id}\n` +
-                    '📞 Ми зв\'яжемося з вами найближчим часом.\n\n' +
-                    'Для подання нової заявки використовуйте /start',
-                    {
-                        parse_mode: 'Markdown',
-                        reply_markup: {
-                            keyboard: [
-                                ['📝 Заповнити анкету'],
-                                ['💼 Вакансії']
-                            ],
-                            resize_keyboard: true
-                        }
-                    }
-                );
+            // Заявка сначала сохраняется в outbox, затем отправляется в WordPress
+            const { status, result, entry } = await this.outbox.submit('lead', ctx.session.userData, {
+                chatId: ctx.chat.id,
+                userId: ctx.from.id,
+                locale: this.getLocale(ctx)
+            });
+
+            if (status === 'delivered') {
+                await ctx.reply(ctx.t('lead.delivered', { id: result.id }), { parse_mode: 'Markdown', ...keyboard });
 
                 logger.info(`Successfully submitted data for user ${ctx.from.id}, submission ID: ${result.id}`);
+            } else if (status === 'pending') {
+                await ctx.reply(ctx.t('lead.queued'), { parse_mode: 'Markdown', ...keyboard });
+
+                logger.warn(`Submission for user ${ctx.from.id} queued in outbox ${entry.id}: ${result.error}`);
             } else {
                 throw new Error(result.error || 'Unknown error');
             }
         } catch (error) {
             logger.error('Error submitting data:', error);
-            await ctx.reply(
-                '❌ Сталася помилка під час надсилання даних.\n' +
-                'Спробуйте пізніше або зверніться у підтримку.',
-                {
-                    reply_markup: {
-                        keyboard: [
-                            ['📝 Заповнити анкету'],
-                            ['💼 Вакансії']
-                        ],
-                        resize_keyboard: true
-                    }
-                }
-            );
+            await ctx.reply(ctx.t('lead.failed'), keyboard);
         }
 
         // Сброс сессии
-        ctx.session.step = 'idle';
-        ctx.session.userData = {};
-        ctx.session.attempts = 0;
+        this.formEngine.reset(ctx);
+    }
+
+    /**
+     * Учет действия пользователя и блокировка при превышении риск-скора
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} action - Действие (start, cancel, validation_failed, submit_attempt)
+     * @param {Object} metadata - Дополнительные данные
+     */
+    trackAction(ctx, action, metadata = {}) {
+        const userId = ctx.from.id;
+
+        this.userController.updateActivity(userId, action, metadata);
+
+        const { riskScore = 0, indicators = [] } = this.userController.checkSuspiciousActivity(userId);
+
+        // Администраторов не блокируем автоматически
+        if (riskScore < this.riskBlockThreshold || this.adminController.isAdmin(userId)) {
+            return;
+        }
+
+        if (!this.userController.checkUserBlock(userId).blocked) {
+            logger.security('risk_threshold_exceeded', userId, {
+                action,
+                riskScore,
+                threshold: this.riskBlockThreshold,
+                indicators
+            });
+            this.userController.blockUser(userId, 'risk_score_exceeded', this.autoBlockMinutes);
+        }
     }
 
-    async cancelProcess(ctx, message = 'Процес скасовано.') {
-        ctx.session.step = 'idle';
-        ctx.session.userData = {};
-        ctx.session.attempts = 0;
+    /**
+     * Отмена текущей формы и возврат в меню
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} messageKey - Ключ сообщения об отмене
+     */
+    async cancelProcess(ctx, messageKey = 'cancel.done') {
+        this.formEngine.reset(ctx);
 
         await ctx.reply(
-            message + '\n\nОберіть опцію з меню:',
+            ctx.t(messageKey) + '\n\n' + ctx.t('menu.choose_option'),
             {
                 reply_markup: {
-                    keyboard: [
-                        ['📝 Заповнити анкету'],
-                        ['💼 Вакансії'],
-                        ['📜 Контракт 18-24'],
-                        ['🔄 Переведення з іншої військової частини'],
-                        ['❓ Повернення після СЗЧ'],
-                        ['🚨 Питання до військової частини']
-                    ],
+                    keyboard: await this.getMainMenuKeyboard(ctx),
                     resize_keyboard: true
                 }
             }
         );
     }
 
-    start() {
-        // Graceful shutdown
-        process.once('SIGINT', () => {
-            logger.info('Received SIGINT, stopping bot...');
-            this.bot.stop('SIGINT');
+    /**
+     * Служебные HTTP эндпоинты: /healthz, /readyz, /metrics
+     */
+    setupHttpRoutes() {
+        metrics.gauge('outbox_pending', () => this.outbox.size());
+
+        // Процесс жив и обрабатывает запросы
+        this.httpServer.route('GET', '/healthz', async (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok' }));
         });
-        
-        process.once('SIGTERM', () => {
-            logger.info('Received SIGTERM, stopping bot...');
-            this.bot.stop('SIGTERM');
+
+        // Готовность: доступны Telegram и WordPress
+        this.httpServer.route('GET', '/readyz', async (req, res) => {
+            const result = await this.checkReadiness();
+            res.writeHead(result.ready ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        });
+
+        this.httpServer.route('GET', '/metrics', async (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(metrics.render());
         });
+    }
+
+    /**
+     * Проверка готовности (результат кэшируется на 10 секунд,
+     * чтобы частые пробы не нагружали Telegram и WordPress)
+     * @returns {Promise<Object>} { ready, telegram, wordpress, outbox }
+     */
+    async checkReadiness() {
+        const cache = this.readinessCache;
 
-        // Start bot
+        if (cache.result && Date.now() - cache.checkedAt < 10 * 1000) {
+            return cache.result;
+        }
+
+        const [telegram, wordpress] = await Promise.all([
+            this.bot.telegram.getMe().then(() => true, (error) => {
+                logger.warn('Telegram readiness check failed:', error.message);
+                return false;
+            }),
+            this.wpAPI.healthCheck()
+        ]);
+
+        cache.result = {
+            ready: telegram && wordpress,
+            telegram,
+            wordpress,
+            outbox: { pending: this.outbox.size() }
+        };
+        cache.checkedAt = Date.now();
+
+        return cache.result;
+    }
+
+    /**
+     * Запуск бота в режиме webhook или long polling
+     * @returns {Promise<void>}
+     */
+    async start() {
+        // Фоновая доставка заявок из outbox и напоминания о брошенных формах
+        this.outbox.start();
+        this.reminderScheduler.start();
+
+        if (this.webhook.enabled) {
+            await this.startWebhook();
+            return;
+        }
+
+        if (this.httpEnabled) {
+            await this.httpServer.start();
+        }
+
+        // Long polling (launch сам удаляет ранее установленный webhook)
         this.bot.launch()
             .then(() => {
                 logger.info('Bot started successfully');
@@ -747,6 +1023,83 @@ class TelegramBot {
                 process.exit(1);
             });
     }
+
+    /**
+     * Запуск HTTP сервера и регистрация webhook в Telegram
+     * @returns {Promise<void>}
+     */
+    async startWebhook() {
+        const { pathname } = new URL(this.webhook.url);
+        const handleUpdate = this.bot.webhookCallback(pathname);
+
+        this.httpServer.route('POST', pathname, async (req, res) => {
+            if (!this.isValidWebhookToken(req.headers['x-telegram-bot-api-secret-token'])) {
+                logger.security('invalid_webhook_token', null, { ip: req.socket.remoteAddress });
+                res.writeHead(403).end();
+                return;
+            }
+
+            await handleUpdate(req, res);
+        });
+
+        this.bot.botInfo = await this.bot.telegram.getMe();
+        await this.httpServer.start();
+        await this.bot.telegram.setWebhook(this.webhook.url, {
+            secret_token: this.webhook.secretToken
+        });
+
+        logger.info(`Bot started in webhook mode: ${this.webhook.url}`);
+        console.log('🤖 Bot is running (webhook)...');
+    }
+
+    /**
+     * Проверка секретного токена из заголовка запроса Telegram
+     * @param {string} token - Значение X-Telegram-Bot-Api-Secret-Token
+     * @returns {boolean}
+     */
+    isValidWebhookToken(token) {
+        if (typeof token !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.webhook.secretToken);
+        const received = Buffer.from(token);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Остановка бота с сохранением сессий
+     * @param {string} signal - Сигнал завершения
+     * @returns {Promise<void>}
+     */
+    async stop(signal) {
+        logger.info(`Stopping bot (${signal})...`);
+
+        this.outbox.stop();
+        this.reminderScheduler.stop();
+
+        if (this.webhook.enabled) {
+            try {
+                await this.bot.telegram.deleteWebhook();
+            } catch (error) {
+                logger.warn('Failed to delete webhook:', error.message);
+            }
+
+        } else {
+            try {
+                this.bot.stop(signal);
+            } catch (error) {
+                // Бот мог быть еще не запущен
+                logger.warn('Bot stop:', error.message);
+            }
+        }
+
+        await this.httpServer.stop();
+
+        await this.sessionStore.close();
+        await this.userController.close();
+    }
 }
 
-module.exports = TelegramBot;
\ No newline at end of file
+module.exports = TelegramBot;
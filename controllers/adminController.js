@@ -0,0 +1,249 @@
+const logger = require('../utils/logger');
+const { parseIdList } = require('../utils/config');
+const { escapeHtml, splitMessage } = require('../utils/format');
+
+/**
+ * Административные команды модерации.
+ * Доступны только пользователям из ADMIN_IDS, каждое выполнение пишется в лог.
+ */
+class AdminController {
+    /**
+     * @param {Object} options
+     * @param {Object} options.userController - Экземпляр UserController
+     * @param {Object} [options.outbox] - Очередь заявок для /stats
+     * @param {Object} [options.funnelStats] - Воронка заполнения форм для /funnel
+     * @param {Array} [options.forms] - Описания форм
+     */
+    constructor({ userController, outbox = null, funnelStats = null, forms = [] }) {
+        this.userController = userController;
+        this.outbox = outbox;
+        this.funnelStats = funnelStats;
+        this.forms = forms;
+        this.adminIds = parseIdList(process.env.ADMIN_IDS);
+        this.maxListSize = 50;
+    }
+
+    /**
+     * Является ли пользователь администратором
+     * @param {number} userId - Telegram ID пользователя
+     * @returns {boolean}
+     */
+    isAdmin(userId) {
+        return this.adminIds.includes(String(userId));
+    }
+
+    /**
+     * Регистрация команд в боте
+     * @param {Object} bot - Экземпляр Telegraf
+     */
+    register(bot) {
+        const commands = {
+            stats: (ctx) => this.showStats(ctx),
+            active: (ctx, args) => this.showActive(ctx, args),
+            whois: (ctx, args) => this.showWhois(ctx, args),
+            block: (ctx, args) => this.block(ctx, args),
+            unblock: (ctx, args) => this.unblock(ctx, args),
+            funnel: (ctx, args) => this.showFunnel(ctx, args)
+        };
+
+        for (const [command, handler] of Object.entries(commands)) {
+            bot.command(command, async (ctx) => {
+                const args = ctx.message.text.split(/\s+/).slice(1);
+
+                if (!this.isAdmin(ctx.from.id)) {
+                    logger.security('unauthorized_admin_command', ctx.from.id, { command, args });
+                    return;
+                }
+
+                logger.security('admin_command', ctx.from.id, { command, args });
+                await handler(ctx, args);
+            });
+        }
+    }
+
+    /**
+     * Разбор Telegram ID из аргумента команды
+     * @param {string} value - Аргумент
+     * @returns {number|null}
+     */
+    parseUserId(value) {
+        return /^\d+$/.test(value || '') ? parseInt(value, 10) : null;
+    }
+
+    async showStats(ctx) {
+        const stats = this.userController.getOverallStats();
+
+        let text = ctx.t('admin.stats.text', stats);
+
+        if (this.outbox) {
+            text += '\n' + ctx.t('admin.stats.outbox', { count: this.outbox.size() });
+        }
+
+        // Самые частые причины отклонения ответов в формах
+        const failures = Object.entries(stats.validationFailures)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5);
+
+        if (failures.length > 0) {
+            text += `\n\n<b>${ctx.t('admin.stats.validation_failures')}</b>\n` +
+                failures.map(([reason, count]) => `<code>${escapeHtml(reason)}</code> — ${count}`).join('\n');
+        }
+
+        await ctx.reply(text, { parse_mode: 'HTML' });
+    }
+
+    async showActive(ctx, args) {
+        const minutes = parseInt(args[0], 10) || 60;
+        const users = this.userController.getActiveUsers(minutes);
+
+        if (users.length === 0) {
+            await ctx.reply(ctx.t('admin.active.none', { minutes }));
+            return;
+        }
+
+        const lines = users.slice(0, this.maxListSize).map(user =>
+            `<code>${user.userId}</code> — ${escapeHtml(user.lastAction || '—')}, ` +
+            user.lastActivity.toLocaleTimeString(ctx.t('date.locale'))
+        );
+
+        let text = `<b>${ctx.t('admin.active.title', { minutes, count: users.length })}</b>\n\n` + lines.join('\n');
+        if (users.length > this.maxListSize) {
+            text += '\n\n' + ctx.t('admin.active.more', { count: users.length - this.maxListSize });
+        }
+
+        await ctx.reply(text, { parse_mode: 'HTML' });
+    }
+
+    async showWhois(ctx, args) {
+        const userId = this.parseUserId(args[0]);
+
+        if (!userId) {
+            await ctx.reply(ctx.t('admin.whois.usage'));
+            return;
+        }
+
+        const data = this.userController.exportUserData(userId);
+
+        if (!data.user && !data.stats) {
+            await ctx.reply(ctx.t('admin.whois.not_found', { id: userId }));
+            return;
+        }
+
+        const json = JSON.stringify(data, null, 2);
+
+        for (const chunk of splitMessage(json, 4000)) {
+            await ctx.reply(`<pre>${escapeHtml(chunk)}</pre>`, { parse_mode: 'HTML' });
+        }
+    }
+
+    async block(ctx, args) {
+        const userId = this.parseUserId(args[0]);
+        const minutes = parseInt(args[1], 10);
+        const reason = args.slice(2).join(' ');
+
+        if (!userId || !(minutes > 0) || !reason) {
+            await ctx.reply(ctx.t('admin.block.usage'));
+            return;
+        }
+
+        if (this.isAdmin(userId)) {
+            await ctx.reply(ctx.t('admin.block.admin'));
+            return;
+        }
+
+        this.userController.blockUser(userId, reason, minutes);
+        logger.security('admin_block', ctx.from.id, { target: userId, minutes, reason });
+
+        await ctx.reply(ctx.t('admin.block.done', { id: userId, minutes, reason }));
+    }
+
+    async unblock(ctx, args) {
+        const userId = this.parseUserId(args[0]);
+
+        if (!userId) {
+            await ctx.reply(ctx.t('admin.unblock.usage'));
+            return;
+        }
+
+        if (!this.userController.unblockUser(userId, `admin:${ctx.from.id}`)) {
+            await ctx.reply(ctx.t('admin.unblock.not_blocked', { id: userId }));
+            return;
+        }
+
+        logger.security('admin_unblock', ctx.from.id, { target: userId });
+
+        await ctx.reply(ctx.t('admin.unblock.done', { id: userId }));
+    }
+
+    /**
+     * Разбор периода отчета: [from] [to] в формате YYYY-MM-DD (по умолчанию 7 дней)
+     * @param {Array<string>} args - Аргументы команды
+     * @returns {Object|null} { from, to } или null при ошибке формата
+     */
+    parseDateRange(args) {
+        const dates = args.filter(arg => /^\d{4}-\d{2}-\d{2}$/.test(arg));
+        const to = dates[1] ? new Date(`${dates[1]}T23:59:59.999Z`) : new Date();
+        const from = dates[0] ? new Date(`${dates[0]}T00:00:00.000Z`) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return null;
+        }
+
+        return { from, to };
+    }
+
+    async showFunnel(ctx, args) {
+        const range = this.parseDateRange(args);
+
+        if (!this.funnelStats || !range) {
+            await ctx.reply(ctx.t('admin.funnel.usage'));
+            return;
+        }
+
+        const reports = this.forms.map(form => this.funnelStats.report(form, range.from, range.to));
+
+        // Выгрузка в JSON для дальнейшего анализа
+        if (args.includes('json')) {
+            await ctx.replyWithDocument({
+                source: Buffer.from(JSON.stringify(reports, null, 2)),
+                filename: `funnel-${range.from.toISOString().slice(0, 10)}-${range.to.toISOString().slice(0, 10)}.json`
+            });
+            return;
+        }
+
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const sections = reports.map((report, index) => {
+            const lines = [
+                `<b>${escapeHtml(ctx.t(this.forms[index].title))}</b>`,
+                ctx.t('admin.funnel.summary', {
+                    started: report.started,
+                    submitted: report.submitted,
+                    conversion: percent(report.conversion)
+                }),
+                ctx.t('admin.funnel.reminders', report.reminders)
+            ];
+
+            for (const step of report.steps) {
+                lines.push(ctx.t('admin.funnel.step', {
+                    ...step,
+                    step: escapeHtml(step.step),
+                    conversion: percent(step.conversion),
+                    medianSeconds: Math.round(step.medianSeconds)
+                }));
+            }
+
+            return lines.join('\n');
+        });
+
+        const period = { from: range.from.toISOString().slice(0, 10), to: range.to.toISOString().slice(0, 10) };
+
+        await ctx.reply(
+            `<b>${ctx.t('admin.funnel.title', period)}</b>\n\n` +
+            sections.join('\n\n') +
+            `\n\n<i>${ctx.t('admin.funnel.legend')}</i>`,
+            { parse_mode: 'HTML' }
+        );
+    }
+}
+
+module.exports = AdminController;
@@ -1,15 +1,35 @@
 const logger = require('../utils/logger');
+const { createUserStore } = require('../services/userStore');
+
+// Сколько последних действий хранится для оценки риска
+const MAX_RECENT_ACTIONS = 200;
 
 class UserController {
-    constructor() {
-        // Кэш для хранения данных пользователей в памяти
-        this.userCache = new Map();
-        this.userStats = new Map();
+    /**
+     * @param {Object} options
+     * @param {Object} [options.store] - Хранилище пользователей (по умолчанию по USER_STORE)
+     */
+    constructor({ store = createUserStore() } = {}) {
+        // Реестр пользователей и статистика действий (сохраняются между перезапусками)
+        this.store = store;
+        this.userCache = store.users;
+        this.userStats = store.stats;
+
+        // Сроки хранения по типам данных (в днях)
+        this.retention = {
+            users: parseInt(process.env.USER_RETENTION_DAYS, 10) || 180,
+            stats: parseInt(process.env.STATS_RETENTION_DAYS, 10) || 30
+        };
+
+        // Окно, за которое оценивается риск: накопленные за месяцы счетчики
+        // не должны приводить к блокировке обычного пользователя
+        this.riskWindow = (parseInt(process.env.RISK_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
         
-        // Очистка кэша каждые 30 минут
-        setInterval(() => {
+        // Очистка устаревших данных каждые 30 минут
+        this.cleanupTimer = setInterval(() => {
             this.cleanupCache();
         }, 30 * 60 * 1000);
+        this.cleanupTimer.unref();
     }
 
     /**
@@ -56,7 +76,7 @@ class UserController {
             this.userCache.set(userId, user);
         }
 
-        this.updateUserStats(userId, action);
+        this.updateUserStats(userId, action, metadata);
         
         logger.telegram(userId, action, metadata);
     }
@@ -65,25 +85,70 @@ class UserController {
      * Обновление статистики пользователя
      * @param {number} userId - Telegram ID пользователя
      * @param {string} action - Выполненное действие
+     * @param {Object} metadata - Дополнительные данные (для validation_failed: field, code)
      */
-    updateUserStats(userId, action) {
+    updateUserStats(userId, action, metadata = {}) {
+        const stats = this.getStatsRecord(userId);
+        stats.totalActions++;
+        stats.actions[action] = (stats.actions[action] || 0) + 1;
+        stats.lastSeen = new Date();
+
+        const now = Date.now();
+        stats.recentActions = (stats.recentActions || [])
+            .filter(([time]) => now - time < this.riskWindow)
+            .concat([[now, action]])
+            .slice(-MAX_RECENT_ACTIONS);
+
+        // Причины отклонения ответов: "поле.код" -> количество
+        if (action === 'validation_failed' && metadata.code) {
+            const reason = `${metadata.field}.${metadata.code}`;
+            stats.validationFailures = stats.validationFailures || {};
+            stats.validationFailures[reason] = (stats.validationFailures[reason] || 0) + 1;
+        }
+        
+        this.userStats.set(userId, stats);
+    }
+
+    /**
+     * Запись статистики пользователя (создается при первом обращении)
+     * @param {number} userId - Telegram ID пользователя
+     * @returns {Object}
+     */
+    getStatsRecord(userId) {
         if (!this.userStats.has(userId)) {
             this.userStats.set(userId, {
                 totalActions: 0,
                 actions: {},
+                validationFailures: {},
                 firstSeen: new Date(),
                 lastSeen: new Date()
             });
         }
 
-        const stats = this.userStats.get(userId);
-        stats.totalActions++;
-        stats.actions[action] = (stats.actions[action] || 0) + 1;
-        stats.lastSeen = new Date();
-        
+        return this.userStats.get(userId);
+    }
+
+    /**
+     * Учет отправленного напоминания о брошенной форме.
+     * Счетчик хранится в статистике, а не в сессии, чтобы лимит
+     * напоминаний не сбрасывался вместе с TTL сессии.
+     * @param {number} userId - Telegram ID пользователя
+     */
+    recordReminder(userId) {
+        const stats = this.getStatsRecord(userId);
+        stats.remindersSent = (stats.remindersSent || 0) + 1;
         this.userStats.set(userId, stats);
     }
 
+    /**
+     * Число напоминаний о формах, отправленных пользователю
+     * @param {number} userId - Telegram ID пользователя
+     * @returns {number}
+     */
+    getRemindersSent(userId) {
+        return this.userStats.get(userId)?.remindersSent || 0;
+    }
+
     /**
      * Получение статистики пользователя
      * @param {number} userId - Telegram ID пользователя
@@ -93,6 +158,27 @@ class UserController {
         return this.userStats.get(userId) || null;
     }
 
+    /**
+     * Действия пользователя за окно оценки риска (RISK_WINDOW_MINUTES)
+     * @param {Object} stats - Статистика пользователя
+     * @param {number} now - Текущее время в мс
+     * @returns {Object} { total, actions, minutes }
+     */
+    getRecentActivity(stats, now = Date.now()) {
+        const recent = (stats.recentActions || []).filter(([time]) => now - time < this.riskWindow);
+        const actions = {};
+
+        for (const [, action] of recent) {
+            actions[action] = (actions[action] || 0) + 1;
+        }
+
+        return {
+            total: recent.length,
+            actions,
+            minutes: recent.length > 0 ? (now - recent[0][0]) / 1000 / 60 : 0
+        };
+    }
+
     /**
      * Проверка на подозрительную активность
      * @param {number} userId - Telegram ID пользователя
@@ -105,22 +191,22 @@ class UserController {
         }
 
         const suspiciousIndicators = [];
+        const recent = this.getRecentActivity(stats);
         
         // Слишком много действий за короткое время
-        const timeDiff = (new Date() - stats.firstSeen) / 1000 / 60; // в минутах
-        const actionsPerMinute = stats.totalActions / Math.max(timeDiff, 1);
+        const actionsPerMinute = recent.total / Math.max(recent.minutes, 1);
         
         if (actionsPerMinute > 10) {
             suspiciousIndicators.push('high_frequency');
         }
 
         // Повторяющиеся попытки отправки
-        if (stats.actions.submit_attempt > 5) {
+        if (recent.actions.submit_attempt > 5) {
             suspiciousIndicators.push('multiple_submit_attempts');
         }
 
         // Много отмен подряд
-        if (stats.actions.cancel > 10) {
+        if (recent.actions.cancel > 10) {
             suspiciousIndicators.push('excessive_cancellations');
         }
 
@@ -129,7 +215,7 @@ class UserController {
         if (suspicious) {
             logger.security('suspicious_activity_detected', userId, {
                 indicators: suspiciousIndicators,
-                stats: stats
+                recentActions: recent.actions
             });
         }
 
@@ -141,30 +227,34 @@ class UserController {
     }
 
     /**
-     * Расчет риск-скора пользователя
+     * Расчет риск-скора пользователя по действиям за окно RISK_WINDOW_MINUTES
      * @param {Object} stats - Статистика пользователя
      * @returns {number} Риск-скор от 0 до 100
      */
     calculateRiskScore(stats) {
+        const recent = this.getRecentActivity(stats);
+        if (recent.total === 0) {
+            return 0;
+        }
+
         let score = 0;
         
         // Частота действий
-        const timeDiff = (new Date() - stats.firstSeen) / 1000 / 60;
-        const actionsPerMinute = stats.totalActions / Math.max(timeDiff, 1);
+        const actionsPerMinute = recent.total / Math.max(recent.minutes, 1);
         if (actionsPerMinute > 5) score += 30;
         if (actionsPerMinute > 10) score += 40;
 
         // Неуспешные попытки
-        const failureRate = (stats.actions.validation_failed || 0) / stats.totalActions;
+        const failureRate = (recent.actions.validation_failed || 0) / recent.total;
         if (failureRate > 0.5) score += 25;
 
         // Много отмен
-        const cancelRate = (stats.actions.cancel || 0) / stats.totalActions;
+        const cancelRate = (recent.actions.cancel || 0) / recent.total;
         if (cancelRate > 0.3) score += 20;
 
         // Подозрительные паттерны
-        if (stats.actions.start > 10) score += 15;
-        if (stats.actions.submit_attempt > 5) score += 25;
+        if (recent.actions.start > 10) score += 15;
+        if (recent.actions.submit_attempt > 5) score += 25;
 
         return Math.min(score, 100);
     }
@@ -193,6 +283,29 @@ class UserController {
         });
     }
 
+    /**
+     * Снятие блокировки пользователя
+     * @param {number} userId - Telegram ID пользователя
+     * @param {string} reason - Причина разблокировки
+     * @returns {boolean} false, если пользователь не был заблокирован
+     */
+    unblockUser(userId, reason = 'manual') {
+        const user = this.userCache.get(userId);
+
+        if (!user || !user.blocked) {
+            return false;
+        }
+
+        user.blocked = false;
+        delete user.reason;
+        delete user.blockedAt;
+        delete user.blockedUntil;
+        this.userCache.set(userId, user);
+
+        logger.security('user_unblocked', userId, { reason });
+        return true;
+    }
+
     /**
      * Проверка блокировки пользователя
      * @param {number} userId - Telegram ID пользователя
@@ -262,6 +375,7 @@ class UserController {
         let activeLastDay = 0;
         let blockedUsers = 0;
         let totalActions = 0;
+        const validationFailures = {};
 
         for (const [userId, user] of this.userCache.entries()) {
             if (user.blocked) blockedUsers++;
@@ -275,6 +389,10 @@ class UserController {
             const stats = this.userStats.get(userId);
             if (stats) {
                 totalActions += stats.totalActions;
+
+                for (const [reason, count] of Object.entries(stats.validationFailures || {})) {
+                    validationFailures[reason] = (validationFailures[reason] || 0) + count;
+                }
             }
         }
 
@@ -284,31 +402,55 @@ class UserController {
             activeLastDay,
             blockedUsers,
             totalActions,
+            validationFailures,
             cacheSize: this.userCache.size,
             statsSize: this.userStats.size
         };
     }
 
     /**
-     * Очистка устаревших данных из кэша
+     * Удаление данных старше срока хранения (USER_RETENTION_DAYS, STATS_RETENTION_DAYS)
      */
     cleanupCache() {
-        const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 часа
-        let cleaned = 0;
+        const day = 24 * 60 * 60 * 1000;
+        const usersCutoff = new Date(Date.now() - this.retention.users * day);
+        const statsCutoff = new Date(Date.now() - this.retention.stats * day);
+        let cleanedUsers = 0;
+        let cleanedStats = 0;
+
+        for (const [userId, user] of Array.from(this.userCache.entries())) {
+            // Заблокированных пользователей храним до окончания блокировки
+            if (user.blocked && user.blockedUntil > new Date()) {
+                continue;
+            }
 
-        for (const [userId, user] of this.userCache.entries()) {
-            if (!user.lastActivity || user.lastActivity < cutoff) {
+            if (!user.lastActivity || user.lastActivity < usersCutoff) {
                 this.userCache.delete(userId);
+                cleanedUsers++;
+            }
+        }
+
+        for (const [userId, stats] of Array.from(this.userStats.entries())) {
+            if (stats.lastSeen < statsCutoff) {
                 this.userStats.delete(userId);
-                cleaned++;
+                cleanedStats++;
             }
         }
 
-        if (cleaned > 0) {
-            logger.info(`Cache cleanup: removed ${cleaned} inactive users`);
+        if (cleanedUsers > 0 || cleanedStats > 0) {
+            logger.info(`User store cleanup: removed ${cleanedUsers} users, ${cleanedStats} stats records`);
         }
     }
 
+    /**
+     * Остановка очистки и сохранение данных
+     * @returns {Promise<void>}
+     */
+    async close() {
+        clearInterval(this.cleanupTimer);
+        await this.store.close();
+    }
+
     /**
      * Экспорт данных пользователя для отладки
      * @param {number} userId - Telegram ID пользователя
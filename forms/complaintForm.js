@@ -0,0 +1,32 @@
+/**
+ * Скарга або питання до військової частини.
+ * Имя "Анонім" (или "Anonymous") делает скаргу анонимной (см. WordPressAPI.buildComplaintPayload).
+ */
+module.exports = {
+    id: 'complaint',
+    title: 'complaint.title',
+    fields: [
+        {
+            key: 'name',
+            step: 'awaiting_complaint_name',
+            prompt: 'complaint.name.prompt',
+            keyboard: [['complaint.name.anonymous']]
+        },
+        {
+            key: 'complaint_text',
+            step: 'awaiting_complaint_text',
+            prompt: 'complaint.text.prompt',
+            validate: (value) => {
+                if (value.length > 2000) {
+                    return { ok: false, code: 'too_long', error: 'complaint.text.too_long' };
+                }
+
+                if (value.length < 10) {
+                    return { ok: false, code: 'too_short', error: 'complaint.text.too_short' };
+                }
+
+                return { ok: true, value };
+            }
+        }
+    ]
+};
@@ -0,0 +1,7 @@
+const recruitmentForm = require('./recruitmentForm');
+const complaintForm = require('./complaintForm');
+
+module.exports = [
+    recruitmentForm,
+    complaintForm
+];
@@ -0,0 +1,116 @@
+/**
+ * Анкета кандидата.
+ * Порядок полей определяет порядок вопросов; чтобы добавить вопрос,
+ * достаточно добавить поле в этот список. label - подпись в сводке
+ * перед отправкой, display - отображение сохраненного значения.
+ * Тексты задаются ключами локализации (см. locales/).
+ */
+module.exports = {
+    id: 'recruitment',
+    title: 'recruitment.title',
+    review: true,
+    fields: [
+        {
+            key: 'name',
+            label: 'recruitment.name.label',
+            step: 'awaiting_name',
+            prompt: 'recruitment.name.prompt',
+            // Части ПІБ сохраняются отдельными полями анкеты
+            validate: (value, { validationService }) => {
+                const name = validationService.explain('name', validationService.checkName(value));
+
+                if (!name.ok) {
+                    return name;
+                }
+
+                return {
+                    ...name,
+                    extra: {
+                        surname: name.details.surname,
+                        given_name: name.details.givenName,
+                        patronymic: name.details.patronymic
+                    }
+                };
+            }
+        },
+        {
+            key: 'age',
+            label: 'recruitment.age.label',
+            step: 'awaiting_age',
+            prompt: 'recruitment.age.prompt',
+            validate: (value, { validationService }) => validationService.explain('age', validationService.checkAge(value))
+        },
+        {
+            key: 'phone',
+            label: 'recruitment.phone.label',
+            step: 'awaiting_phone',
+            prompt: 'recruitment.phone.prompt',
+            // Кнопка отправки своего контакта; номер можно ввести и вручную
+            keyboard: (data, services, t) => [[{ text: t('recruitment.phone.share'), request_contact: true }]],
+            // Номер из контакта Telegram считается подтвержденным, введенный вручную - нет
+            validate: (value, { validationService }, data, { source }) => {
+                const phone = validationService.explain('phone', validationService.checkPhone(value));
+
+                if (!phone.ok) {
+                    return phone;
+                }
+
+                return { ...phone, extra: { phone_verified: source === 'contact' } };
+            }
+        },
+        {
+            key: 'education',
+            label: 'recruitment.education.label',
+            step: 'awaiting_education',
+            prompt: 'recruitment.education.prompt',
+            keyboard: (data, { validationService }, t) => validationService.educationLevels.map(level => [t(level.label)]),
+            display: (value, { validationService }, t) => {
+                const level = validationService.educationLevels.find(candidate => candidate.value === value);
+                return level ? t(level.label) : value;
+            },
+            validate: (value, { validationService }) => {
+                const education = validationService.normalizeEducation(value);
+
+                if (!education) {
+                    return { ok: false, code: 'unknown_level', error: 'recruitment.education.invalid' };
+                }
+
+                return { ok: true, value: education };
+            }
+        },
+        {
+            key: 'vacancy',
+            label: 'recruitment.vacancy.label',
+            step: 'awaiting_vacancy',
+            optional: true,
+            skipText: 'recruitment.vacancy.skip',
+            prompt: 'recruitment.vacancy.prompt',
+            keyboard: async (data, { vacancyCatalog }, t) => {
+                const vacancies = await vacancyCatalog.getAll();
+                return [...vacancies.map(vacancy => [vacancy.title]), [t('recruitment.vacancy.skip')]];
+            },
+            display: async (value, { vacancyCatalog }) => (await vacancyCatalog.findById(value))?.title || value,
+            // В заявку попадает стабильный ID вакансии из каталога WordPress,
+            // для запасного списка (WordPress недоступен) - ее название
+            validate: async (value, { vacancyCatalog }) => {
+                const vacancy = await vacancyCatalog.findByTitle(value);
+
+                if (!vacancy) {
+                    return { ok: false, code: 'unknown_vacancy', error: 'recruitment.vacancy.invalid' };
+                }
+
+                return { ok: true, value: vacancy.fallback ? vacancy.title : vacancy.id };
+            }
+        },
+        {
+            key: 'message',
+            label: 'recruitment.message.label',
+            step: 'awaiting_message',
+            optional: true,
+            skipText: 'recruitment.message.skip',
+            prompt: 'recruitment.message.prompt',
+            keyboard: [['recruitment.message.skip']],
+            validate: (value, { validationService }) => validationService.explain('message', validationService.checkMessage(value))
+        }
+    ]
+};
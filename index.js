@@ -3,6 +3,7 @@
 const TelegramBot = require('./bot');
 const logger = require('./utils/logger');
 const WordPressAPI = require('./services/wordpressAPI');
+const { getMissingAuthEnv } = require('./services/wpAuth');
 
 // Обработка необработанных исключений
 process.on('uncaughtException', (error) => {
@@ -19,12 +20,14 @@ process.on('unhandledRejection', (reason, promise) => {
 function validateEnvironment() {
     const requiredVars = [
         'BOT_TOKEN',
-        'WORDPRESS_URL',
-        'WP_API_KEY',
-        'WP_API_SECRET'
+        'WORDPRESS_URL'
     ];
 
-    const missing = requiredVars.filter(varName => !process.env[varName]);
+    // Плюс переменные выбранной стратегии авторизации WordPress (WP_AUTH_STRATEGY)
+    const missing = [
+        ...requiredVars.filter(varName => !process.env[varName]),
+        ...getMissingAuthEnv()
+    ];
     
     if (missing.length > 0) {
         logger.error('Missing required environment variables:', missing);
@@ -36,6 +39,13 @@ function validateEnvironment() {
         process.exit(1);
     }
 
+    // Telegram принимает webhook только по HTTPS
+    if (process.env.USE_WEBHOOK === 'true' && !/^https:\/\//.test(process.env.WEBHOOK_URL || '')) {
+        logger.error('WEBHOOK_URL must be an https:// URL when USE_WEBHOOK=true');
+        console.error('❌ WEBHOOK_URL must be an https:// URL when USE_WEBHOOK=true');
+        process.exit(1);
+    }
+
     logger.info('Environment validation passed');
 }
 
@@ -86,7 +96,8 @@ async function main() {
             logger.info(`Received ${signal}, shutting down gracefully...`);
             console.log(`\n📴 Received ${signal}, shutting down gracefully...`);
             
-            bot.bot.stop(signal)
+            // Останавливаем бота и сохраняем сессии на диск
+            bot.stop(signal)
                 .then(() => {
                     logger.info('Bot stopped successfully');
                     console.log('✅ Bot stopped successfully');
@@ -103,7 +114,7 @@ async function main() {
         process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
         
         // Запускаем бота
-        bot.start();
+        await bot.start();
         
         // Выводим информацию о запуске
         console.log('✅ Bot started successfully!');
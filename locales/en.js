@@ -0,0 +1,234 @@
+/**
+ * English locale.
+ * Ключи должны совпадать во всех каталогах (см. tests/i18n.test.js).
+ */
+module.exports = {
+    'language.name': '🇬🇧 English',
+    'language.choose': 'Choose the interface language:',
+    'language.changed': '✅ Language switched to English.',
+    'date.locale': 'en-GB',
+
+    'button.cancel': '❌ Cancel',
+    'button.back_to_menu': '🔙 Back to menu',
+    'button.previous_question': '⬅️ Previous question',
+    'button.continue': '▶️ Continue',
+    'button.restart': '🔄 Start over',
+
+    'menu.fill_form': '📝 Fill in the application',
+    'menu.vacancies': '💼 Vacancies',
+    'menu.complaint': '🚨 Question to the military unit',
+    'menu.another_complaint': '🚨 Send another complaint',
+    'menu.welcome': '👋 Welcome!\n\n' +
+        'Choose what you are interested in:',
+    'menu.choose_option': 'Choose an option from the menu:',
+    'menu.hint': 'To get started, choose an option from the menu below or use /start',
+
+    'help.text': '🆘 *Help*\n\n' +
+        '/start - Show the main menu\n' +
+        '/cancel - Cancel the current process\n' +
+        '/help - Show this message\n' +
+        '/status - Check the status of your submissions\n' +
+        '/status <ID> - Status of a specific submission\n' +
+        '/language - Change the language',
+
+    'error.rate_limit': 'Too many messages. Please wait a moment.',
+    'error.generic': 'Something went wrong. Please try again later or contact support.',
+    'error.blocked': '⛔ Access is temporarily restricted due to suspicious activity.\n' +
+        'Please try again in {minutes} min.',
+
+    'cancel.done': 'The process has been cancelled.',
+    'cancel.attempts_exceeded': 'Too many attempts. Please try again later.',
+
+    'resume.form': '📝 You have an unfinished application.',
+    'resume.complaint': '🚨 You have an unfinished complaint.',
+    'resume.question': 'Continue where you left off?',
+
+    'reminder.text': '👋 You have not finished: {form}.\n\n' +
+        'When convenient, let\'s continue where you left off. Your answers are saved.',
+
+    'vacancies.intro': '💼 *Our vacancies*\n\n' +
+        '🔗 All available vacancies are listed on the website:\n' +
+        'https://www.work.ua/jobs/by-company/2608716/\n\n' +
+        '📞 Call the recruiter of the 127th Separate Territorial Defense Brigade:\n' +
+        'Phone: +380730000127\n',
+    'vacancies.requirements': 'Requirements:',
+    'vacancies.more': 'Read more',
+
+    'submission.type.lead': '📝 Application',
+    'submission.type.complaint': '🚨 Complaint',
+    'submission.status.new': '🆕 New',
+    'submission.status.in_progress': '🔧 In progress',
+    'submission.status.called': '📞 Called',
+    'submission.status.rejected': '❌ Rejected',
+    'submission.status.done': '✅ Processed',
+    'submission.status.unknown': 'Unknown',
+    'submission.not_assigned': 'Not assigned',
+
+    'submissions.fetch_failed': '❌ Could not load your submissions. Please try again later.',
+    'submissions.empty': '📭 You have no submissions yet.\n\n' +
+        'To submit one, choose "📝 Fill in the application" in the menu.',
+    'submissions.title': '📋 Your submissions:',
+    'submissions.queued': '⏳ Waiting to be sent',
+    'submissions.partial': '⚠️ Could not load submissions from the server, showing only those waiting to be sent.',
+    'submissions.choose': 'Choose a submission to see the details:',
+
+    'status.invalid_id': '❌ Invalid submission number. Example: /status 123',
+    'status.not_found': '❌ Submission #{id} was not found among your submissions.',
+    'status.title': '📋 Submission #{id}',
+    'status.type': 'Type: {type}',
+    'status.status': 'Status: {status}',
+    'status.submitted_at': 'Submitted: {date}',
+    'status.updated_at': 'Updated: {date}',
+
+    'lead.sending': '⏳ Sending your data...',
+    'lead.delivered': '✅ *Thank you! Your application has been sent.*\n\n' +
+        '📋 Application ID: {id}\n' +
+        '📞 We will contact you shortly.\n\n' +
+        'To submit a new application use /start',
+    'lead.queued': '📥 *Your application has been saved.*\n\n' +
+        'The server is temporarily unavailable, so the application has not been delivered yet.\n' +
+        'We will send it automatically and let you know as soon as it is accepted.',
+    'lead.failed': '❌ An error occurred while sending your data.\n' +
+        'Please try again later or contact support.',
+    'lead.delayed_delivered': '✅ Your application has been delivered.\n' +
+        '📋 Number: {id}',
+
+    'complaint.sending': '⏳ Sending your complaint...',
+    'complaint.delivered': '✅ *Your complaint has been sent*\n\n' +
+        '📋 Complaint number: {id}\n' +
+        '📞 We will review your complaint and get back to you shortly.\n\n' +
+        'Thank you for reaching out!',
+    'complaint.queued': '📥 *Complaint saved*\n\n' +
+        'The server is temporarily unavailable, so the complaint has not been delivered yet.\n' +
+        'We will send it automatically and let you know as soon as it is accepted.',
+    'complaint.failed': '❌ Unfortunately, the complaint could not be sent.\n' +
+        'Please try again later or contact support.',
+    'complaint.delayed_delivered': '✅ Your complaint has been delivered.\n' +
+        '📋 Number: {id}',
+
+    'contact.not_own': '❌ Please share your own contact or type the number manually.',
+
+    'form.attempt': 'Attempt {attempt} of {max}.',
+    'form.previous_answer': '↩️ Previous answer: {value}',
+    'form.first_question': 'This is the first question.',
+    'form.review.title': '🔎 <b>Check your details</b>',
+    'form.review.hint': 'If everything is correct, press «Send».',
+    'form.review.edit': '✏️ Change: {label}',
+    'form.review.submit': '✅ Send',
+
+    'validation.name.empty': '❌ Please enter your full name.',
+    'validation.name.too_long': '❌ The name is too long. Maximum {max} characters.',
+    'validation.name.digits': '❌ A name cannot contain digits.',
+    'validation.name.non_ukrainian_letters': '❌ Please write your name in Ukrainian (without the letters ы, э, ъ, ё).',
+    'validation.name.invalid_characters': '❌ A name may contain only letters, apostrophes, hyphens and spaces.',
+    'validation.name.mixed_scripts': '❌ A word seems to mix Cyrillic and Latin letters. Please check your keyboard layout.',
+    'validation.name.too_few_parts': '❌ Please enter at least your surname and given name.\n' +
+        'For example: Шевченко Тарас Григорович',
+    'validation.name.too_many_parts': '❌ Please enter only your surname, given name and patronymic (if any).',
+    'validation.name.short_part': '❌ Please write your given name and patronymic in full, without initials.',
+    'validation.name.suspicious': '❌ This does not look like a real name. Please enter your full name.',
+    'validation.age.not_a_number': '❌ Please enter your age as a number, for example: 25.',
+    'validation.age.out_of_range': '❌ We accept candidates aged {min} to {max}.',
+    'validation.phone.empty': '❌ Please enter a phone number.\n' +
+        'Format: +380XXXXXXXXX or 0XXXXXXXXX',
+    'validation.phone.invalid_format': '❌ The number must be in the format +380XXXXXXXXX or 0XXXXXXXXX.\n' +
+        'Enter a number from another country in international format, with «+» and the country code.',
+    'validation.phone.unknown_country': '❌ Could not recognise the country code of this number. Please check it.',
+    'validation.phone.country_not_allowed': '❌ Numbers from this country ({country}) are not accepted. Please enter another number.',
+    'validation.phone.invalid_length': '❌ The number has the wrong number of digits. Please check it.',
+    'validation.phone.unknown_operator': '❌ Code {code} does not belong to a mobile operator. Please enter a mobile number.',
+    'validation.email.empty': '❌ Please enter an email address.',
+    'validation.email.invalid_format': '❌ Invalid email address. Example: name@example.com',
+    'validation.email.too_long': '❌ The email address is too long. Maximum {max} characters.',
+    'validation.email.disposable': '❌ Temporary mailboxes ({domain}) are not accepted.',
+    'validation.email.suspicious': '❌ Please enter your real email address.',
+    'validation.message.not_text': '❌ Please send your message as text.',
+    'validation.message.too_long': '❌ The message is too long. Maximum {max} characters.',
+    'validation.message.repeated_characters': '❌ The message contains too many repeated characters in a row.',
+    'validation.message.too_many_links': '❌ The message contains too many links.',
+    'validation.message.spam_words': '❌ The message looks like an advertisement. Please rephrase it.',
+    'validation.message.unsafe_content': '❌ The message contains disallowed code.',
+    'validation.message.money': '❌ Please do not mention sums of money in the message.',
+
+    'admin.no_rights': '⛔ Not enough permissions',
+    'admin.status_update_failed': '❌ Could not update the status in WordPress',
+    'admin.action.in_progress': '🔧 Take into work',
+    'admin.action.called': '📞 Called',
+    'admin.action.rejected': '❌ Rejected',
+    'admin.card.from': 'From',
+    'admin.card.telegram': 'Telegram',
+    'admin.card.status': 'Status',
+    'admin.stats.text': '<b>📊 Statistics</b>\n\n' +
+        '👥 Users: {totalUsers}\n' +
+        '🟢 Active in the last hour: {activeLastHour}\n' +
+        '📅 Active in the last day: {activeLastDay}\n' +
+        '⛔ Blocked: {blockedUsers}\n' +
+        '🔁 Total actions: {totalActions}',
+    'admin.stats.outbox': '📤 Submissions in queue: {count}',
+    'admin.stats.validation_failures': '❗ Input errors:',
+    'admin.active.none': 'No active users in the last {minutes} min.',
+    'admin.active.title': '🟢 Active in the last {minutes} min: {count}',
+    'admin.active.more': '…and {count} more',
+    'admin.whois.usage': 'Usage: /whois <id>',
+    'admin.whois.not_found': 'User {id} not found.',
+    'admin.block.usage': 'Usage: /block <id> <minutes> <reason>',
+    'admin.block.admin': 'An administrator cannot be blocked.',
+    'admin.block.done': '⛔ User {id} is blocked for {minutes} min.\n' +
+        'Reason: {reason}',
+    'admin.unblock.usage': 'Usage: /unblock <id>',
+    'admin.unblock.not_blocked': 'User {id} is not blocked.',
+    'admin.unblock.done': '✅ User {id} is unblocked.',
+    'admin.funnel.usage': 'Usage: /funnel [YYYY-MM-DD] [YYYY-MM-DD] [json]',
+    'admin.funnel.title': '📈 Funnel {from} — {to}',
+    'admin.funnel.summary': 'Started: {started}, submitted: {submitted} ({conversion})',
+    'admin.funnel.reminders': 'Reminders: {sent}, continued: {continued}, submitted: {submitted}, cancelled: {cancelled}',
+    'admin.funnel.step': '• {step}: {entered} → {conversion}, ⏱ {medianSeconds} s, ' +
+        '❗{validationFailures} ⬅️{stepBack} 🔙{backToMenu} ❌{cancelled} 💤{abandoned}',
+    'admin.funnel.legend': 'step: entered → moved on, median time, ❗errors, ⬅️back, 🔙to menu, ❌cancelled, 💤abandoned',
+
+    'education.secondary': 'Secondary',
+    'education.vocational': 'Vocational',
+    'education.pre_higher': 'Professional pre-higher',
+    'education.higher': 'Higher',
+
+    'recruitment.title': '📝 Application form',
+    'recruitment.name.label': 'Full name',
+    'recruitment.name.prompt': 'Enter your full name (surname, given name, patronymic).\n' +
+        'For example: Шевченко Тарас Григорович',
+    'recruitment.age.label': 'Age',
+    'recruitment.age.prompt': '📱 Great!\n\n' +
+        'Now enter your age (full years).\n',
+    'recruitment.phone.label': 'Phone',
+    'recruitment.phone.prompt': '📱 Great!\n\n' +
+        'Press «Share my number» or type the number manually.\n' +
+        'Format: +380XXXXXXXXX or 0XXXXXXXXX',
+    'recruitment.phone.share': '📱 Share my number',
+    'recruitment.education.label': 'Education',
+    'recruitment.education.prompt': '💬 Great!\n' +
+        'What is your education? Choose an option on the keyboard.',
+    'recruitment.education.invalid': '❌ Please choose your education level using the buttons below.',
+    'recruitment.vacancy.label': 'Vacancy',
+    'recruitment.vacancy.prompt': '💬 Great!\n' +
+        'Which vacancy are you interested in? Choose an option on the keyboard.',
+    'recruitment.vacancy.skip': 'Not decided yet',
+    'recruitment.vacancy.invalid': '❌ Please choose a vacancy using the buttons below.',
+    'recruitment.message.label': 'Message',
+    'recruitment.message.prompt': '💬 Write your message or question (optional).\n' +
+        'You can write "skip" to go to reviewing your details:',
+    'recruitment.message.skip': 'Skip',
+
+    'complaint.title': '🚨 Question to the military unit',
+    'complaint.name.prompt': 'Enter your name (or write "Anonymous" for an anonymous complaint):\n' +
+        'For example: Шевченко Тарас or Anonymous',
+    'complaint.name.anonymous': 'Anonymous',
+    'complaint.text.prompt': '📝 Describe your complaint in detail:\n\n' +
+        '• What happened?\n' +
+        '• When did it happen?\n' +
+        '• Who was involved?\n' +
+        '• What actions do you expect?\n\n' +
+        'Maximum 2000 characters.',
+    'complaint.text.too_long': '❌ The complaint is too long. Maximum 2000 characters.\n' +
+        'Please shorten the text and try again.',
+    'complaint.text.too_short': '❌ The complaint is too short. Minimum 10 characters.\n' +
+        'Please describe the complaint in more detail.'
+};
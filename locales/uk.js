@@ -0,0 +1,234 @@
+/**
+ * Українська локаль (мова за замовчуванням).
+ * Ключи должны совпадать во всех каталогах (см. tests/i18n.test.js).
+ */
+module.exports = {
+    'language.name': '🇺🇦 Українська',
+    'language.choose': 'Оберіть мову інтерфейсу:',
+    'language.changed': '✅ Мову змінено на українську.',
+    'date.locale': 'uk-UA',
+
+    'button.cancel': '❌ Скасувати',
+    'button.back_to_menu': '🔙 Назад до меню',
+    'button.previous_question': '⬅️ Попереднє питання',
+    'button.continue': '▶️ Продовжити',
+    'button.restart': '🔄 Почати спочатку',
+
+    'menu.fill_form': '📝 Заповнити анкету',
+    'menu.vacancies': '💼 Вакансії',
+    'menu.complaint': '🚨 Питання до військової частини',
+    'menu.another_complaint': '🚨 Відправити ще одну скаргу',
+    'menu.welcome': '👋 Ласкаво просимо!\n\n' +
+        'Оберіть що вас цікавить:',
+    'menu.choose_option': 'Оберіть опцію з меню:',
+    'menu.hint': 'Для початку роботи оберіть опцію з меню нижче або використовуйте /start',
+
+    'help.text': '🆘 *Допомога*\n\n' +
+        '/start - Показати головне меню\n' +
+        '/cancel - Скасувати поточний процес\n' +
+        '/help - Показати це повідомлення\n' +
+        '/status - Перевірити статус заявок\n' +
+        '/status <ID> - Статус конкретної заявки\n' +
+        '/language - Змінити мову',
+
+    'error.rate_limit': 'Занадто багато повідомлень. Зачекайте трохи.',
+    'error.generic': 'Сталася помилка. Спробуйте пізніше або зверніться на підтримку.',
+    'error.blocked': '⛔ Доступ тимчасово обмежено через підозрілу активність.\n' +
+        'Спробуйте знову через {minutes} хв.',
+
+    'cancel.done': 'Процес скасовано.',
+    'cancel.attempts_exceeded': 'Перевищено кількість спроб. Спробуйте пізніше.',
+
+    'resume.form': '📝 У вас є незавершена анкета.',
+    'resume.complaint': '🚨 У вас є незавершена скарга.',
+    'resume.question': 'Продовжити з того місця, де ви зупинилися?',
+
+    'reminder.text': '👋 Ви не завершили: {form}.\n\n' +
+        'Якщо зручно, продовжимо з того місця, де ви зупинилися. Відповіді вже збережено.',
+
+    'vacancies.intro': '💼 *Наші вакансії*\n\n' +
+        '🔗 Переглянути всі доступні вакансії можна на сайті:\n' +
+        'https://www.work.ua/jobs/by-company/2608716/\n\n' +
+        '📞 Телефонуй рекрутеру 127 Окремої бригади Територіальної оборони:\n' +
+        'Телефон: +380730000127\n',
+    'vacancies.requirements': 'Вимоги:',
+    'vacancies.more': 'Детальніше',
+
+    'submission.type.lead': '📝 Анкета',
+    'submission.type.complaint': '🚨 Скарга',
+    'submission.status.new': '🆕 Нова',
+    'submission.status.in_progress': '🔧 В роботі',
+    'submission.status.called': '📞 Зателефонували',
+    'submission.status.rejected': '❌ Відхилено',
+    'submission.status.done': '✅ Опрацьовано',
+    'submission.status.unknown': 'Невідомо',
+    'submission.not_assigned': 'Не присвоєно',
+
+    'submissions.fetch_failed': '❌ Не вдалося отримати список заявок. Спробуйте пізніше.',
+    'submissions.empty': '📭 У вас поки немає поданих заявок.\n\n' +
+        'Щоб подати заявку, оберіть "📝 Заповнити анкету" у меню.',
+    'submissions.title': '📋 Ваші заявки:',
+    'submissions.queued': '⏳ Очікує відправлення',
+    'submissions.partial': '⚠️ Не вдалося отримати заявки з сервера, показано лише ті, що очікують відправлення.',
+    'submissions.choose': 'Оберіть заявку, щоб переглянути деталі:',
+
+    'status.invalid_id': '❌ Некоректний номер заявки. Приклад: /status 123',
+    'status.not_found': '❌ Заявку #{id} не знайдено серед ваших заявок.',
+    'status.title': '📋 Заявка #{id}',
+    'status.type': 'Тип: {type}',
+    'status.status': 'Статус: {status}',
+    'status.submitted_at': 'Подано: {date}',
+    'status.updated_at': 'Оновлено: {date}',
+
+    'lead.sending': '⏳ Надсилаю дані...',
+    'lead.delivered': '✅ *Дякую! Вашу заявку успішно відправлено.*\n\n' +
+        '📋 ID заявки: {id}\n' +
+        '📞 Ми зв\'яжемося з вами найближчим часом.\n\n' +
+        'Для подання нової заявки використовуйте /start',
+    'lead.queued': '📥 *Вашу заявку збережено.*\n\n' +
+        'Зараз сервер тимчасово недоступний, тому заявку ще не доставлено.\n' +
+        'Ми надішлемо її автоматично та повідомимо вас, щойно її буде прийнято.',
+    'lead.failed': '❌ Сталася помилка під час надсилання даних.\n' +
+        'Спробуйте пізніше або зверніться у підтримку.',
+    'lead.delayed_delivered': '✅ Вашу заявку успішно доставлено.\n' +
+        '📋 Номер: {id}',
+
+    'complaint.sending': '⏳ Надсилаю скаргу...',
+    'complaint.delivered': '✅ *Ваша скарга успішно відправлена*\n\n' +
+        '📋 Номер скарги: {id}\n' +
+        '📞 Ми розглянемо вашу скаргу та зв\'яжемося з вами найближчим часом.\n\n' +
+        'Дякуємо за звернення!',
+    'complaint.queued': '📥 *Скаргу збережено*\n\n' +
+        'Зараз сервер тимчасово недоступний, тому скаргу ще не доставлено.\n' +
+        'Ми надішлемо її автоматично та повідомимо вас, щойно її буде прийнято.',
+    'complaint.failed': '❌ На жаль, не вдалося надіслати скаргу.\n' +
+        'Спробуйте пізніше або зверніться у підтримку.',
+    'complaint.delayed_delivered': '✅ Вашу скаргу успішно доставлено.\n' +
+        '📋 Номер: {id}',
+
+    'contact.not_own': '❌ Будь ласка, надішліть власний контакт або введіть номер вручну.',
+
+    'form.attempt': 'Спроба {attempt} з {max}.',
+    'form.previous_answer': '↩️ Попередня відповідь: {value}',
+    'form.first_question': 'Це перше питання.',
+    'form.review.title': '🔎 <b>Перевірте ваші дані</b>',
+    'form.review.hint': 'Якщо все правильно, натисніть «Надіслати».',
+    'form.review.edit': '✏️ Змінити: {label}',
+    'form.review.submit': '✅ Надіслати',
+
+    'validation.name.empty': '❌ Будь ласка, введіть ПІБ.',
+    'validation.name.too_long': '❌ ПІБ надто довге. Максимум {max} символів.',
+    'validation.name.digits': '❌ ПІБ не може містити цифри.',
+    'validation.name.non_ukrainian_letters': '❌ Будь ласка, напишіть ПІБ українською (без літер ы, э, ъ, ё).',
+    'validation.name.invalid_characters': '❌ ПІБ може містити лише літери, апостроф, дефіс і пробіли.',
+    'validation.name.mixed_scripts': '❌ Схоже, в одному слові змішано кирилицю та латиницю. Перевірте розкладку клавіатури.',
+    'validation.name.too_few_parts': '❌ Вкажіть щонайменше прізвище та ім\'я.\n' +
+        'Наприклад: Шевченко Тарас Григорович',
+    'validation.name.too_many_parts': '❌ Вкажіть лише прізвище, ім\'я та по батькові (за наявності).',
+    'validation.name.short_part': '❌ Будь ласка, напишіть ім\'я та по батькові повністю, без ініціалів.',
+    'validation.name.suspicious': '❌ Схоже, це не справжнє ім\'я. Будь ласка, введіть ваш ПІБ.',
+    'validation.age.not_a_number': '❌ Будь ласка, введіть вік числом, наприклад: 25.',
+    'validation.age.out_of_range': '❌ Приймаємо кандидатів віком від {min} до {max} років.',
+    'validation.phone.empty': '❌ Будь ласка, введіть номер телефону.\n' +
+        'Формат: +380XXXXXXXXX або 0XXXXXXXXX',
+    'validation.phone.invalid_format': '❌ Номер має бути у форматі +380XXXXXXXXX або 0XXXXXXXXX.\n' +
+        'Номер іншої країни вкажіть у міжнародному форматі, з «+» та кодом країни.',
+    'validation.phone.unknown_country': '❌ Не вдалося визначити країну за кодом номера. Перевірте код країни.',
+    'validation.phone.country_not_allowed': '❌ Номери цієї країни ({country}) не приймаються. Вкажіть, будь ласка, інший номер.',
+    'validation.phone.invalid_length': '❌ Неправильна кількість цифр у номері. Перевірте, будь ласка, номер.',
+    'validation.phone.unknown_operator': '❌ Код {code} не належить мобільному оператору. Вкажіть, будь ласка, номер мобільного.',
+    'validation.email.empty': '❌ Будь ласка, введіть email.',
+    'validation.email.invalid_format': '❌ Некоректний email. Приклад: name@example.com',
+    'validation.email.too_long': '❌ Email надто довгий. Максимум {max} символів.',
+    'validation.email.disposable': '❌ Тимчасові поштові скриньки ({domain}) не приймаються.',
+    'validation.email.suspicious': '❌ Будь ласка, вкажіть вашу справжню адресу email.',
+    'validation.message.not_text': '❌ Будь ласка, надішліть повідомлення текстом.',
+    'validation.message.too_long': '❌ Повідомлення надто довге. Максимум {max} символів.',
+    'validation.message.repeated_characters': '❌ Повідомлення містить забагато однакових символів поспіль.',
+    'validation.message.too_many_links': '❌ Повідомлення містить забагато посилань.',
+    'validation.message.spam_words': '❌ Повідомлення схоже на рекламу. Будь ласка, переформулюйте його.',
+    'validation.message.unsafe_content': '❌ Повідомлення містить недопустимий код.',
+    'validation.message.money': '❌ Будь ласка, не вказуйте суми грошей у повідомленні.',
+
+    'admin.no_rights': '⛔ Недостатньо прав',
+    'admin.status_update_failed': '❌ Не вдалося оновити статус у WordPress',
+    'admin.action.in_progress': '🔧 Взяти в роботу',
+    'admin.action.called': '📞 Зателефонував',
+    'admin.action.rejected': '❌ Відхилено',
+    'admin.card.from': 'Від',
+    'admin.card.telegram': 'Telegram',
+    'admin.card.status': 'Статус',
+    'admin.stats.text': '<b>📊 Статистика</b>\n\n' +
+        '👥 Користувачів: {totalUsers}\n' +
+        '🟢 Активних за годину: {activeLastHour}\n' +
+        '📅 Активних за добу: {activeLastDay}\n' +
+        '⛔ Заблокованих: {blockedUsers}\n' +
+        '🔁 Дій усього: {totalActions}',
+    'admin.stats.outbox': '📤 Заявок у черзі: {count}',
+    'admin.stats.validation_failures': '❗ Помилки введення:',
+    'admin.active.none': 'За останні {minutes} хв активних користувачів немає.',
+    'admin.active.title': '🟢 Активні за {minutes} хв: {count}',
+    'admin.active.more': '…та ще {count}',
+    'admin.whois.usage': 'Використання: /whois <id>',
+    'admin.whois.not_found': 'Користувача {id} не знайдено.',
+    'admin.block.usage': 'Використання: /block <id> <хвилини> <причина>',
+    'admin.block.admin': 'Неможливо заблокувати адміністратора.',
+    'admin.block.done': '⛔ Користувача {id} заблоковано на {minutes} хв.\n' +
+        'Причина: {reason}',
+    'admin.unblock.usage': 'Використання: /unblock <id>',
+    'admin.unblock.not_blocked': 'Користувач {id} не заблокований.',
+    'admin.unblock.done': '✅ Користувача {id} розблоковано.',
+    'admin.funnel.usage': 'Використання: /funnel [YYYY-MM-DD] [YYYY-MM-DD] [json]',
+    'admin.funnel.title': '📈 Воронка {from} — {to}',
+    'admin.funnel.summary': 'Почали: {started}, надіслали: {submitted} ({conversion})',
+    'admin.funnel.reminders': 'Нагадування: {sent}, продовжили: {continued}, надіслали: {submitted}, скасували: {cancelled}',
+    'admin.funnel.step': '• {step}: {entered} → {conversion}, ⏱ {medianSeconds} с, ' +
+        '❗{validationFailures} ⬅️{stepBack} 🔙{backToMenu} ❌{cancelled} 💤{abandoned}',
+    'admin.funnel.legend': 'крок: увійшли → перейшли далі, медіанний час, ❗помилки, ⬅️назад, 🔙до меню, ❌скасували, 💤кинули',
+
+    'education.secondary': 'Середня',
+    'education.vocational': 'Професійно-технічна',
+    'education.pre_higher': 'Фахова передвища',
+    'education.higher': 'Вища',
+
+    'recruitment.title': '📝 Заповнення анкети',
+    'recruitment.name.label': 'ПІБ',
+    'recruitment.name.prompt': 'Введіть ПІБ. \n' +
+        'Наприклад: Шевченко Тарас Григорович',
+    'recruitment.age.label': 'Вік',
+    'recruitment.age.prompt': '📱 Чудово!\n\n' +
+        'Тепер введіть ваш вік (повних років).\n',
+    'recruitment.phone.label': 'Телефон',
+    'recruitment.phone.prompt': '📱 Чудово!\n\n' +
+        'Натисніть «Поділитися номером» або введіть номер вручну.\n' +
+        'Формат: +380XXXXXXXXX або 0XXXXXXXXX',
+    'recruitment.phone.share': '📱 Поділитися номером',
+    'recruitment.education.label': 'Освіта',
+    'recruitment.education.prompt': '💬 Чудово!\n' +
+        'Яка у вас освіта? Оберіть варіант на клавіатурі.',
+    'recruitment.education.invalid': '❌ Будь ласка, оберіть рівень освіти за допомогою кнопок нижче.',
+    'recruitment.vacancy.label': 'Вакансія',
+    'recruitment.vacancy.prompt': '💬 Чудово!\n' +
+        'Яка вакансія вас цікавить? Оберіть варіант на клавіатурі.',
+    'recruitment.vacancy.skip': 'Ще не визначився',
+    'recruitment.vacancy.invalid': '❌ Будь ласка, оберіть вакансію за допомогою кнопок нижче.',
+    'recruitment.message.label': 'Повідомлення',
+    'recruitment.message.prompt': '💬 Напишіть ваше повідомлення чи запитання (необов\'язково).\n' +
+        'Можете написати "пропустити", щоб перейти до перевірки даних:',
+    'recruitment.message.skip': 'Пропустити',
+
+    'complaint.title': '🚨 Питання до військової частини',
+    'complaint.name.prompt': 'Введіть ваше ім\'я (або напишіть "Анонім" для анонімної скарги):\n' +
+        'Наприклад: Шевченко Тарас або Анонім',
+    'complaint.name.anonymous': 'Анонім',
+    'complaint.text.prompt': '📝 Опишіть вашу скаргу детально:\n\n' +
+        '• Що саме сталося?\n' +
+        '• Коли це відбулося?\n' +
+        '• Хто був залучений?\n' +
+        '• Які дії ви очікуєте?\n\n' +
+        'Максимум 2000 символів.',
+    'complaint.text.too_long': '❌ Текст скарги надто довгий. Максимум 2000 символів.\n' +
+        'Будь ласка, скоротіть текст та спробуйте ще раз.',
+    'complaint.text.too_short': '❌ Текст скарги надто короткий. Мінімум 10 символів.\n' +
+        'Будь ласка, опишіть скаргу більш детально.'
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { parseIdList } = require('../utils/config');
+const { escapeHtml, formatSubmissionType, formatSubmissionStatus } = require('../utils/format');
+const { t, DEFAULT_LOCALE } = require('../utils/i18n');
+
+// Действия рекрутера на карточке заявки: статус -> ключ текста кнопки
+const ADMIN_ACTIONS = {
+    in_progress: 'admin.action.in_progress',
+    called: 'admin.action.called',
+    rejected: 'admin.action.rejected'
+};
+
+/**
+ * Уведомления администраторов и рекрутеров о новых заявках.
+ *
+ * Карточка заявки отправляется во все чаты из ADMIN_CHAT_IDS. Кнопки на карточке
+ * меняют статус заявки в WordPress и обновляют карточку во всех чатах.
+ * Ссылки на отправленные карточки сохраняются на диск, чтобы кнопки
+ * работали и после перезапуска бота.
+ * Карточка одна на все чаты, поэтому она пишется на языке по умолчанию.
+ */
+class AdminNotifier {
+    /**
+     * @param {Object} options
+     * @param {Object} options.telegram - Экземпляр Telegram из Telegraf
+     * @param {Object} options.wpAPI - Экземпляр WordPressAPI
+     * @param {Object} options.vacancyCatalog - Каталог вакансий для названий
+     * @param {string} [options.filePath] - Файл с карточками
+     */
+    constructor({ telegram, wpAPI, vacancyCatalog, filePath = process.env.ADMIN_CARDS_FILE || path.join('data', 'admin-cards.json') }) {
+        this.telegram = telegram;
+        this.wpAPI = wpAPI;
+        this.vacancyCatalog = vacancyCatalog;
+        this.filePath = filePath;
+        this.chatIds = parseIdList(process.env.ADMIN_CHAT_IDS);
+        this.adminIds = parseIdList(process.env.ADMIN_IDS);
+        this.maxCards = 500;
+        this.cards = this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                return new Map(Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))));
+            }
+        } catch (error) {
+            logger.error('Failed to load admin cards:', error.message);
+        }
+
+        return new Map();
+    }
+
+    save() {
+        // Храним только последние карточки
+        while (this.cards.size > this.maxCards) {
+            this.cards.delete(this.cards.keys().next().value);
+        }
+
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.cards)));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error('Failed to save admin cards:', error.message);
+        }
+    }
+
+    /**
+     * Включены ли уведомления
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.chatIds.length > 0;
+    }
+
+    /**
+     * Является ли чат административным
+     * @param {number|string} chatId - ID чата
+     * @returns {boolean}
+     */
+    isAdminChat(chatId) {
+        return this.chatIds.includes(String(chatId));
+    }
+
+    /**
+     * Может ли пользователь менять статус заявок
+     * @param {number|string} userId - Telegram ID пользователя
+     * @returns {boolean}
+     */
+    isAdmin(userId) {
+        return this.adminIds.includes(String(userId));
+    }
+
+    /**
+     * Отправка карточки новой заявки во все административные чаты
+     * @param {string} type - lead или complaint
+     * @param {number|string} id - ID заявки в WordPress
+     * @param {Object} data - Данные заявки
+     * @returns {Promise<void>}
+     */
+    async notify(type, id, data) {
+        if (!this.isEnabled() || !id) {
+            return;
+        }
+
+        const key = `${type}:${id}`;
+        const card = {
+            type,
+            id,
+            text: await this.buildCardText(type, id, data),
+            status: 'new',
+            updatedBy: null,
+            updatedAt: null,
+            messages: []
+        };
+
+        for (const chatId of this.chatIds) {
+            try {
+                const message = await this.telegram.sendMessage(chatId, this.renderCard(card), {
+                    parse_mode: 'HTML',
+                    reply_markup: this.buildKeyboard(card)
+                });
+                card.messages.push({ chatId, messageId: message.message_id });
+            } catch (error) {
+                logger.error(`Failed to notify admin chat ${chatId} about ${key}:`, error.message);
+            }
+        }
+
+        this.cards.set(key, card);
+        this.save();
+    }
+
+    /**
+     * Текст карточки заявки
+     * @param {string} type - lead или complaint
+     * @param {number|string} id - ID заявки
+     * @param {Object} data - Данные заявки
+     * @returns {Promise<string>}
+     */
+    async buildCardText(type, id, data) {
+        const lines = [`<b>${formatSubmissionType(type)} #${escapeHtml(id)}</b>`, ''];
+        const add = (labelKey, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                lines.push(`<b>${t(DEFAULT_LOCALE, labelKey)}:</b> ${escapeHtml(value)}`);
+            }
+        };
+
+        if (type === 'complaint') {
+            add('admin.card.from', data.anonymous ? t(DEFAULT_LOCALE, 'complaint.name.anonymous') : data.name);
+            if (!data.anonymous && data.username) add('admin.card.telegram', `@${data.username}`);
+            lines.push('', escapeHtml(data.complaint_text));
+            return lines.join('\n');
+        }
+
+        const vacancy = data.vacancy ? await this.vacancyCatalog.findById(data.vacancy) : null;
+
+        add('recruitment.name.label', data.name);
+        add('recruitment.age.label', data.age);
+        add('recruitment.phone.label', data.phone);
+        add('recruitment.education.label', data.education);
+        add('recruitment.vacancy.label', vacancy ? vacancy.title : data.vacancy);
+        if (data.username) add('admin.card.telegram', `@${data.username}`);
+        add('recruitment.message.label', data.message);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Карточка с текущим статусом
+     * @param {Object} card - Карточка
+     * @returns {string}
+     */
+    renderCard(card) {
+        let text = card.text + `\n\n<b>${t(DEFAULT_LOCALE, 'admin.card.status')}:</b> ${formatSubmissionStatus(card.status)}`;
+
+        if (card.updatedBy) {
+            text += ` (${escapeHtml(card.updatedBy)}, ${new Date(card.updatedAt).toLocaleString(t(DEFAULT_LOCALE, 'date.locale'))})`;
+        }
+
+        return text;
+    }
+
+    buildKeyboard(card) {
+        return {
+            inline_keyboard: [
+                Object.entries(ADMIN_ACTIONS)
+                    .filter(([status]) => status !== card.status)
+                    .map(([status, labelKey]) => ({
+                        text: t(DEFAULT_LOCALE, labelKey),
+                        callback_data: `admin:status:${card.type}:${card.id}:${status}`
+                    }))
+            ]
+        };
+    }
+
+    /**
+     * Обработка нажатия кнопки статуса на карточке
+     * @param {Object} ctx - Контекст Telegraf (callback_query)
+     * @param {string} type - lead или complaint
+     * @param {string} id - ID заявки
+     * @param {string} status - Новый статус
+     * @returns {Promise<void>}
+     */
+    async handleStatusAction(ctx, type, id, status) {
+        // В группе администраторов могут быть и другие участники: статус меняют только ADMIN_IDS
+        if (!this.isAdminChat(ctx.chat?.id) || !this.isAdmin(ctx.from.id) || !ADMIN_ACTIONS[status]) {
+            logger.security('unauthorized_admin_action', ctx.from.id, { type, id, status });
+            await ctx.answerCbQuery(ctx.t('admin.no_rights'));
+            return;
+        }
+
+        const author = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
+        const result = await this.wpAPI.updateSubmissionStatus(type, id, status, {
+            telegramId: ctx.from.id,
+            name: author
+        });
+
+        if (!result.success) {
+            await ctx.answerCbQuery(ctx.t('admin.status_update_failed'), { show_alert: true });
+            return;
+        }
+
+        logger.info(`Submission ${type}:${id} status set to ${status} by ${ctx.from.id}`);
+
+        const key = `${type}:${id}`;
+        const card = this.cards.get(key);
+
+        if (!card) {
+            // Карточка устарела и уже удалена, обновляем только текущее сообщение
+            await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+            await ctx.answerCbQuery(t(DEFAULT_LOCALE, 'status.status', { status: formatSubmissionStatus(status) }));
+            return;
+        }
+
+        card.status = status;
+        card.updatedBy = author;
+        card.updatedAt = new Date().toISOString();
+        this.save();
+
+        for (const { chatId, messageId } of card.messages) {
+            try {
+                await this.telegram.editMessageText(chatId, messageId, undefined, this.renderCard(card), {
+                    parse_mode: 'HTML',
+                    reply_markup: this.buildKeyboard(card)
+                });
+            } catch (error) {
+                logger.warn(`Failed to update admin card ${key} in chat ${chatId}:`, error.message);
+            }
+        }
+
+        await ctx.answerCbQuery(t(DEFAULT_LOCALE, 'status.status', { status: formatSubmissionStatus(status) }));
+    }
+}
+
+module.exports = AdminNotifier;
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+const { htmlToText } = require('../utils/format');
+
+/**
+ * Информационные страницы бота (Контракт 18-24, Переведення, СЗЧ и т.д.).
+ *
+ * Страницы загружаются из WordPress и из локальной папки content/ (JSON файлы),
+ * которая служит резервной копией. Для каждой страницы (slug) используется
+ * версия с наибольшим номером version. Страница показывается в меню, если она
+ * опубликована и текущая дата попадает в интервал valid_from..valid_until.
+ *
+ * Переводы задаются полем translations: { en: { title, body } }. Если перевода
+ * на язык пользователя нет, показываются основные title и body.
+ */
+class ContentService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.wpAPI - Экземпляр WordPressAPI
+     * @param {string} [options.contentDir] - Папка с локальными страницами
+     */
+    constructor({ wpAPI, contentDir = process.env.CONTENT_DIR || path.join(__dirname, '..', 'content') }) {
+        this.wpAPI = wpAPI;
+        this.contentDir = contentDir;
+        this.refreshInterval = (parseInt(process.env.CONTENT_REFRESH_MINUTES, 10) || 15) * 60 * 1000;
+        this.localPages = this.loadLocalPages();
+        this.remotePages = [];
+        this.loadedAt = 0;
+        this.refreshing = null;
+    }
+
+    /**
+     * Загрузка страниц из локальной папки
+     * @returns {Array}
+     */
+    loadLocalPages() {
+        if (!fs.existsSync(this.contentDir)) {
+            logger.warn(`Content directory ${this.contentDir} not found`);
+            return [];
+        }
+
+        const pages = [];
+
+        for (const file of fs.readdirSync(this.contentDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                const page = JSON.parse(fs.readFileSync(path.join(this.contentDir, file), 'utf8'));
+                pages.push(this.normalizePage(page));
+            } catch (error) {
+                logger.error(`Failed to load content page ${file}:`, error.message);
+            }
+        }
+
+        return pages.filter(page => page.slug && page.title && page.body);
+    }
+
+    /**
+     * Приведение страницы к единому формату.
+     * WordPress отдает title и content в HTML, в Telegram они уходят простым текстом.
+     * @param {Object} page - Страница из WordPress или файла
+     * @returns {Object}
+     */
+    normalizePage(page) {
+        const translations = {};
+
+        for (const [locale, translation] of Object.entries(page.translations || {})) {
+            if (translation?.title && translation?.body) {
+                translations[locale] = { title: htmlToText(translation.title), body: htmlToText(translation.body) };
+            }
+        }
+
+        return {
+            slug: page.slug,
+            title: htmlToText(page.title?.rendered || page.title),
+            body: htmlToText(page.body || page.content?.rendered || page.content || ''),
+            translations,
+            version: parseInt(page.version, 10) || 1,
+            order: parseInt(page.order, 10) || 0,
+            published: page.published !== false,
+            validFrom: page.valid_from ? new Date(page.valid_from) : null,
+            validUntil: page.valid_until ? new Date(page.valid_until) : null
+        };
+    }
+
+    /**
+     * Обновление страниц из WordPress, если кэш устарел
+     * @returns {Promise<void>}
+     */
+    async refreshIfStale() {
+        if (Date.now() - this.loadedAt < this.refreshInterval) {
+            return;
+        }
+
+        if (!this.refreshing) {
+            this.refreshing = this.refresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        await this.refreshing;
+    }
+
+    async refresh() {
+        const result = await this.wpAPI.getContentPages();
+
+        if (!result.success) {
+            logger.warn('Content refresh failed, using cached and local pages');
+            // Повторим попытку не раньше, чем через минуту
+            this.loadedAt = Date.now() - this.refreshInterval + 60 * 1000;
+            return;
+        }
+
+        // Одна испорченная страница не должна отменять обновление остальных
+        const pages = [];
+        for (const page of result.data) {
+            try {
+                pages.push(this.normalizePage(page));
+            } catch (error) {
+                logger.error(`Failed to normalize content page ${page?.slug}:`, error.message);
+            }
+        }
+
+        this.remotePages = pages.filter(page => page.slug && page.title && page.body);
+        this.loadedAt = Date.now();
+        logger.info(`Content refreshed: ${this.remotePages.length} pages from WordPress`);
+    }
+
+    /**
+     * Действует ли страница на текущий момент
+     * @param {Object} page - Страница
+     * @param {Date} now - Текущая дата
+     * @returns {boolean}
+     */
+    isActive(page, now = new Date()) {
+        if (!page.published) return false;
+        if (page.validFrom && page.validFrom > now) return false;
+        if (page.validUntil && page.validUntil < now) return false;
+        return true;
+    }
+
+    /**
+     * Страница на языке пользователя
+     * @param {Object} page - Страница
+     * @param {string} locale - Код языка
+     * @returns {Object}
+     */
+    localize(page, locale) {
+        const translation = page.translations[locale];
+        return translation ? { ...page, ...translation } : page;
+    }
+
+    /**
+     * Опубликованные страницы в порядке показа в меню
+     * @param {string} [locale] - Язык заголовков и текста
+     * @returns {Promise<Array>}
+     */
+    async getPublishedPages(locale = DEFAULT_LOCALE) {
+        const pages = await this.getActivePages();
+        return pages.map(page => this.localize(page, locale));
+    }
+
+    /**
+     * Действующие страницы без перевода
+     * @returns {Promise<Array>}
+     */
+    async getActivePages() {
+        await this.refreshIfStale();
+
+        // Из двух источников берем страницу с большей версией
+        const bySlug = new Map();
+        for (const page of [...this.localPages, ...this.remotePages]) {
+            const current = bySlug.get(page.slug);
+            if (!current || page.version >= current.version) {
+                bySlug.set(page.slug, page);
+            }
+        }
+
+        return Array.from(bySlug.values())
+            .filter(page => this.isActive(page))
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Поиск опубликованной страницы по тексту кнопки меню (на любом языке)
+     * @param {string} title - Текст кнопки
+     * @param {string} [locale] - Язык, на котором вернуть страницу
+     * @returns {Promise<Object|null>}
+     */
+    async findByTitle(title, locale = DEFAULT_LOCALE) {
+        const pages = await this.getActivePages();
+        const page = pages.find(candidate =>
+            candidate.title === title || Object.values(candidate.translations).some(translation => translation.title === title)
+        );
+
+        return page ? this.localize(page, locale) : null;
+    }
+}
+
+module.exports = ContentService;
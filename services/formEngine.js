@@ -0,0 +1,523 @@
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/format');
+const { variants } = require('../utils/i18n');
+
+// Кнопки управления, которые добавляются к каждому вопросу формы (ключи локализации)
+const CONTROL_ROWS = [
+    ['button.cancel'],
+    ['button.back_to_menu']
+];
+
+// Возврат к предыдущему вопросу (показывается, если есть куда возвращаться)
+const BACK_KEY = 'button.previous_question';
+
+// Шаг проверки ответов перед отправкой (для форм с review: true)
+const REVIEW_STEP = 'awaiting_review';
+
+// Форма отправляется; обработчик завершения сам сбрасывает сессию
+const SUBMITTING_STEP = 'submitting';
+
+/**
+ * Универсальный обработчик пошаговых форм.
+ *
+ * Формы описываются данными (см. папку forms/): список полей с текстом
+ * вопроса, клавиатурой, валидатором и признаком необязательности.
+ * prompt, keyboard и validate могут быть асинхронными функциями.
+ * Состояние хранится в сессии: ctx.session.form, ctx.session.step
+ * (шаг вида awaiting_*), ctx.session.userData и ctx.session.attempts.
+ *
+ * title, prompt, label, skipText и статическая клавиатура - ключи
+ * локализации, их переводит ctx.t. Функции keyboard и display получают
+ * t третьим аргументом и возвращают готовый текст (в нем бывают данные
+ * из WordPress).
+ *
+ * validate получает (value, services, data, input), где input.source -
+ * откуда пришел ответ: 'text' (введен вручную) или 'contact' (контакт
+ * Telegram). При отказе validate возвращает { ok: false, code, error, params }:
+ * error - ключ объяснения, code - причина для статистики. Поле extra
+ * успешного результата сохраняется в userData рядом с ответом.
+ *
+ * Если у формы задан review: true, после последнего вопроса показывается
+ * сводка ответов (поля с label) с кнопками "Змінити" и "Надіслати".
+ * Исправленный ответ возвращает пользователя к сводке (ctx.session.editing).
+ *
+ * Пройденные шаги складываются в ctx.session.history, кнопка
+ * "Попереднє питання" возвращает на шаг назад без потери ответов.
+ */
+class FormEngine {
+    /**
+     * @param {Object} options
+     * @param {Array} options.forms - Описания форм
+     * @param {Object} options.services - Сервисы, доступные валидаторам ({ validationService })
+     * @param {Object} options.completionHandlers - Обработчики завершения по ID формы: (ctx, data) => Promise
+     * @param {Function} options.onAttemptsExceeded - Вызывается при превышении числа попыток: (ctx) => Promise
+     * @param {Function} [options.onValidationFailed] - Вызывается при некорректном ответе: (ctx, form, field, code)
+     * @param {Object} [options.funnel] - Воронка заполнения (FunnelStats)
+     */
+    constructor({ forms, services, completionHandlers, onAttemptsExceeded, onValidationFailed = null, funnel = null }) {
+        this.forms = new Map(forms.map(form => [form.id, form]));
+        this.services = services;
+        this.completionHandlers = completionHandlers;
+        this.onAttemptsExceeded = onAttemptsExceeded;
+        this.onValidationFailed = onValidationFailed;
+        this.funnel = funnel;
+        this.maxAttempts = parseInt(process.env.MAX_VALIDATION_ATTEMPTS, 10) || 3;
+    }
+
+    /**
+     * Получение описания формы
+     * @param {string} formId - ID формы
+     * @returns {Object}
+     */
+    getForm(formId) {
+        const form = this.forms.get(formId);
+
+        if (!form) {
+            throw new Error(`Unknown form: ${formId}`);
+        }
+
+        return form;
+    }
+
+    /**
+     * Поиск формы и поля по шагу сессии
+     * @param {string} step - Шаг вида awaiting_*
+     * @returns {Object|null} { form, field, index }
+     */
+    locate(step) {
+        for (const form of this.forms.values()) {
+            const index = form.fields.findIndex(field => field.step === step);
+            if (index !== -1) {
+                return { form, field: form.fields[index], index };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Находится ли пользователь внутри формы
+     * @param {Object} ctx - Контекст Telegraf
+     * @returns {boolean}
+     */
+    isActive(ctx) {
+        return this.getCurrentStep(ctx.session) !== null;
+    }
+
+    /**
+     * Текущая форма и ключ шага (включая шаг проверки ответов)
+     * @param {Object} session - Сессия пользователя
+     * @returns {Object|null} { form, key }
+     */
+    getCurrentStep(session) {
+        if (!session?.step) {
+            return null;
+        }
+
+        if (session.step === REVIEW_STEP) {
+            const form = this.forms.get(session.form);
+            return form ? { form, key: 'review' } : null;
+        }
+
+        const located = this.locate(session.step);
+        return located ? { form: located.form, key: located.field.key } : null;
+    }
+
+    /**
+     * Начало заполнения формы
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} formId - ID формы
+     */
+    async start(ctx, formId) {
+        const form = this.getForm(formId);
+        const user = ctx.from;
+
+        ctx.session.form = form.id;
+        ctx.session.step = form.fields[0].step;
+        ctx.session.attempts = 0;
+        ctx.session.editing = false;
+        ctx.session.history = [];
+        ctx.session.userData = {
+            telegram_id: user.id,
+            username: user.username || null,
+            first_name: user.first_name || null,
+            last_name: user.last_name || null
+        };
+
+        logger.telegram(user.id, 'form_started', { form: form.id });
+
+        if (this.funnel) {
+            this.funnel.startRun(ctx.session);
+        }
+        this.recordEvent(ctx, 'step_entered');
+
+        await this.prompt(ctx, { intro: true });
+    }
+
+    /**
+     * Отправка вопроса для текущего шага
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {Object} options - { intro } - добавить заголовок формы
+     */
+    async prompt(ctx, { intro = false } = {}) {
+        if (ctx.session.step === REVIEW_STEP) {
+            await this.showReview(ctx);
+            return;
+        }
+
+        const located = this.locate(ctx.session.step);
+
+        if (!located) {
+            return;
+        }
+
+        const { form, field } = located;
+        const data = ctx.session.userData || {};
+        const promptKey = typeof field.prompt === 'function' ? await field.prompt(data, this.services) : field.prompt;
+        let text = ctx.t(promptKey);
+        const keyboard = typeof field.keyboard === 'function'
+            ? await field.keyboard(data, this.services, ctx.t)
+            : this.translateRows(ctx, field.keyboard || []);
+        const canGoBack = ctx.session.editing || (ctx.session.history || []).length > 0;
+
+        // При возврате к вопросу показываем уже введенный ответ
+        const previous = data[field.key];
+        if (previous !== undefined && previous !== null && previous !== '') {
+            const shown = field.display ? await field.display(previous, this.services, ctx.t) : previous;
+            text = `${text.trimEnd()}\n\n${ctx.t('form.previous_answer', { value: shown })}`;
+        }
+
+        const controls = this.translateRows(ctx, [...(canGoBack ? [[BACK_KEY]] : []), ...CONTROL_ROWS]);
+
+        await ctx.reply(
+            (intro && form.title ? ctx.t(form.title) + '\n\n' : '') + text,
+            {
+                reply_markup: {
+                    keyboard: [...keyboard, ...controls],
+                    resize_keyboard: true,
+                    one_time_keyboard: false
+                }
+            }
+        );
+    }
+
+    /**
+     * Обработка ответа пользователя на текущий вопрос
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} text - Ответ пользователя
+     * @param {Object} [input] - { source: 'text' | 'contact' }
+     * @returns {Promise<boolean>} false, если пользователь не находится в форме
+     */
+    async handleInput(ctx, text, input = { source: 'text' }) {
+        // На шаге проверки ответы принимаются только кнопками
+        if (ctx.session.step === REVIEW_STEP && this.isActive(ctx)) {
+            await this.showReview(ctx);
+            return true;
+        }
+
+        const located = this.locate(ctx.session.step);
+
+        if (!located) {
+            return false;
+        }
+
+        const { form, field, index } = located;
+        const data = ctx.session.userData || (ctx.session.userData = {});
+
+        if (field.optional && field.skipText && this.isSkipText(field, text)) {
+            delete data[field.key];
+        } else {
+            const result = field.validate
+                ? await field.validate(text, this.services, data, input)
+                : { ok: true, value: text };
+
+            if (!result.ok) {
+                const code = result.code || 'invalid';
+
+                if (this.onValidationFailed) {
+                    this.onValidationFailed(ctx, form, field, code);
+                }
+                this.recordEvent(ctx, 'validation_failed', { code });
+                await this.rejectInput(ctx, ctx.t(result.error, result.params));
+                return true;
+            }
+
+            data[field.key] = result.value;
+            Object.assign(data, result.extra);
+        }
+
+        ctx.session.attempts = 0;
+
+        // Исправление одного ответа со сводки - возвращаемся к сводке
+        if (ctx.session.editing) {
+            ctx.session.editing = false;
+            await this.enterReview(ctx);
+            return true;
+        }
+
+        const nextIndex = this.resolveNext(form, field, index, data);
+
+        if (nextIndex === -1) {
+            if (form.review) {
+                ctx.session.history = [...(ctx.session.history || []), field.step];
+                await this.enterReview(ctx);
+            } else {
+                await this.complete(ctx, form);
+            }
+            return true;
+        }
+
+        ctx.session.history = [...(ctx.session.history || []), field.step];
+        ctx.session.step = form.fields[nextIndex].step;
+        this.recordEvent(ctx, 'step_entered');
+        await this.prompt(ctx);
+
+        return true;
+    }
+
+    /**
+     * Перевод ключей клавиатуры
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {Array<Array<string>>} rows - Ряды кнопок с ключами локализации
+     * @returns {Array<Array<string>>}
+     */
+    translateRows(ctx, rows) {
+        return rows.map(row => row.map(key => ctx.t(key)));
+    }
+
+    /**
+     * Ответ пропускает необязательное поле (на любом языке интерфейса)
+     * @param {Object} field - Поле формы
+     * @param {string} text - Ответ пользователя
+     * @returns {boolean}
+     */
+    isSkipText(field, text) {
+        const input = text.toLowerCase();
+        return variants(field.skipText).some(variant => variant.toLowerCase() === input);
+    }
+
+    /**
+     * Определение следующего поля формы
+     * @param {Object} form - Описание формы
+     * @param {Object} field - Текущее поле
+     * @param {number} index - Индекс текущего поля
+     * @param {Object} data - Собранные ответы
+     * @returns {number} Индекс следующего поля или -1, если форма заполнена
+     */
+    resolveNext(form, field, index, data) {
+        if (field.next) {
+            const nextKey = typeof field.next === 'function' ? field.next(data) : field.next;
+            return nextKey ? form.fields.findIndex(candidate => candidate.key === nextKey) : -1;
+        }
+
+        // Пропускаем поля, условие показа которых не выполнено
+        for (let i = index + 1; i < form.fields.length; i++) {
+            const candidate = form.fields[i];
+            if (!candidate.when || candidate.when(data)) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Переход к шагу проверки ответов
+     * @param {Object} ctx - Контекст Telegraf
+     */
+    async enterReview(ctx) {
+        ctx.session.step = REVIEW_STEP;
+        this.recordEvent(ctx, 'step_entered');
+        await this.showReview(ctx);
+    }
+
+    /**
+     * Сводка ответов с кнопками изменения и отправки
+     * @param {Object} ctx - Контекст Telegraf
+     */
+    async showReview(ctx) {
+        const form = this.getForm(ctx.session.form);
+        const data = ctx.session.userData || {};
+        const lines = [];
+        const buttons = [];
+
+        for (const field of form.fields) {
+            if (!field.label || (field.when && !field.when(data))) continue;
+
+            const value = data[field.key];
+            const label = ctx.t(field.label);
+            const shown = value === undefined || value === null || value === ''
+                ? '—'
+                : (field.display ? await field.display(value, this.services, ctx.t) : value);
+
+            lines.push(`<b>${escapeHtml(label)}:</b> ${escapeHtml(shown)}`);
+            buttons.push([{ text: ctx.t('form.review.edit', { label }), callback_data: `form:edit:${field.key}` }]);
+        }
+
+        buttons.push([{ text: ctx.t('form.review.submit'), callback_data: 'form:submit' }]);
+
+        await ctx.reply(
+            ctx.t('form.review.title') + '\n\n' + lines.join('\n') +
+            '\n\n' + ctx.t('form.review.hint'),
+            {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: buttons }
+            }
+        );
+    }
+
+    /**
+     * Переход со сводки к одному полю для исправления
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} key - Ключ поля
+     * @returns {Promise<boolean>} false, если пользователь не на шаге проверки
+     */
+    async editField(ctx, key) {
+        if (ctx.session.step !== REVIEW_STEP || !this.isActive(ctx)) {
+            return false;
+        }
+
+        const field = this.getForm(ctx.session.form).fields.find(candidate => candidate.key === key);
+
+        if (!field) {
+            return false;
+        }
+
+        ctx.session.step = field.step;
+        ctx.session.editing = true;
+        ctx.session.attempts = 0;
+        this.recordEvent(ctx, 'field_edit');
+
+        await this.prompt(ctx);
+        return true;
+    }
+
+    /**
+     * Возврат к предыдущему вопросу с сохранением ответов
+     * @param {Object} ctx - Контекст Telegraf
+     * @returns {Promise<boolean>} false, если пользователь не находится в форме
+     */
+    async back(ctx) {
+        if (!this.isActive(ctx)) {
+            return false;
+        }
+
+        const history = ctx.session.history || [];
+
+        if (!ctx.session.editing && history.length === 0) {
+            await ctx.reply(ctx.t('form.first_question'));
+            await this.prompt(ctx);
+            return true;
+        }
+
+        // Событие относится к шагу, с которого пользователь ушел
+        this.recordEvent(ctx, 'step_back');
+        ctx.session.attempts = 0;
+
+        // Отказ от исправления поля - возвращаемся к сводке
+        if (ctx.session.editing) {
+            ctx.session.editing = false;
+            ctx.session.step = REVIEW_STEP;
+        } else {
+            ctx.session.step = history.pop();
+            ctx.session.history = history;
+        }
+
+        await this.prompt(ctx);
+        return true;
+    }
+
+    /**
+     * Подтверждение отправки со сводки
+     * @param {Object} ctx - Контекст Telegraf
+     * @returns {Promise<boolean>} false, если пользователь не на шаге проверки
+     */
+    async confirm(ctx) {
+        if (ctx.session.step !== REVIEW_STEP || !this.isActive(ctx)) {
+            return false;
+        }
+
+        await this.complete(ctx, this.getForm(ctx.session.form));
+        return true;
+    }
+
+    /**
+     * Ответ на некорректный ввод с учетом количества попыток
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} error - Текст ошибки (уже переведенный)
+     */
+    async rejectInput(ctx, error) {
+        ctx.session.attempts = (ctx.session.attempts || 0) + 1;
+
+        if (ctx.session.attempts >= this.maxAttempts) {
+            await this.onAttemptsExceeded(ctx);
+            return;
+        }
+
+        await ctx.reply(`${error}\n${ctx.t('form.attempt', { attempt: ctx.session.attempts, max: this.maxAttempts })}`);
+    }
+
+    /**
+     * Завершение формы
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {Object} form - Описание формы
+     */
+    async complete(ctx, form) {
+        const handler = this.completionHandlers[form.id];
+
+        if (!handler) {
+            throw new Error(`No completion handler for form: ${form.id}`);
+        }
+
+        logger.telegram(ctx.from.id, 'form_completed', { form: form.id });
+        this.recordEvent(ctx, 'submitted');
+
+        // Уходим со сводки до отправки: повторное нажатие "Надіслати",
+        // пока идет отправка, не создаст вторую заявку
+        ctx.session.step = SUBMITTING_STEP;
+
+        try {
+            await handler(ctx, ctx.session.userData);
+        } finally {
+            // Обработчик упал, не сбросив форму: иначе сессия навсегда останется на шаге отправки
+            if (ctx.session.step === SUBMITTING_STEP) {
+                this.reset(ctx);
+            }
+        }
+    }
+
+    /**
+     * Запись события воронки для текущего шага формы
+     * @param {Object} ctx - Контекст Telegraf
+     * @param {string} event - Событие (step_entered, validation_failed, back_to_menu, cancelled, abandoned, submitted)
+     * @param {Object} details - Дополнительные данные ({ reason })
+     */
+    recordEvent(ctx, event, details = {}) {
+        if (!this.funnel) {
+            return;
+        }
+
+        const current = this.getCurrentStep(ctx.session);
+        const step = event === 'submitted' ? undefined : current?.key;
+
+        this.funnel.record(ctx.session, event, { step, ...details });
+    }
+
+    /**
+     * Сброс состояния формы в сессии
+     * @param {Object} ctx - Контекст Telegraf
+     */
+    reset(ctx) {
+        ctx.session.form = null;
+        ctx.session.step = 'idle';
+        ctx.session.userData = {};
+        ctx.session.attempts = 0;
+        ctx.session.editing = false;
+        ctx.session.history = [];
+        ctx.session.funnelRun = null;
+    }
+}
+
+FormEngine.BACK_KEY = BACK_KEY;
+
+module.exports = FormEngine;
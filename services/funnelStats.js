@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// События, после которых попытка заполнения формы считается завершенной
+const TERMINAL_EVENTS = ['submitted', 'cancelled', 'back_to_menu', 'abandoned'];
+
+/**
+ * Воронка заполнения форм.
+ *
+ * Каждое заполнение формы (run) получает ID в сессии, по шагам записываются
+ * события: step_entered, step_back, validation_failed, back_to_menu, cancelled,
+ * abandoned, submitted, а также reminder_sent и reminder_continued
+ * (напоминания о брошенной форме). События хранятся в журнале JSON Lines.
+ * Заполнение без завершающего события, которое не продолжалось дольше
+ * FUNNEL_ABANDON_MINUTES, в отчете считается брошенным по таймауту.
+ */
+class FunnelStats {
+    /**
+     * @param {Object} options
+     * @param {string} [options.filePath] - Путь к журналу событий
+     */
+    constructor({ filePath = process.env.FUNNEL_FILE || path.join('data', 'funnel.jsonl') } = {}) {
+        this.filePath = filePath;
+        this.retentionDays = parseInt(process.env.FUNNEL_RETENTION_DAYS, 10) || 180;
+        this.abandonAfter = (parseInt(process.env.FUNNEL_ABANDON_MINUTES, 10) || 24 * 60) * 60 * 1000;
+        this.events = [];
+        this.prunedAt = Date.now();
+
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.load();
+    }
+
+    /**
+     * Загрузка журнала и удаление событий старше срока хранения
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            try {
+                const event = JSON.parse(line);
+                if (event.ts >= cutoff) {
+                    this.events.push(event);
+                }
+            } catch (error) {
+                logger.warn('Skipping corrupted funnel journal line');
+            }
+        }
+
+        if (this.events.length < lines.filter(line => line.trim()).length) {
+            this.rewrite();
+        }
+
+        logger.info(`Funnel stats loaded: ${this.events.length} events`);
+    }
+
+    /**
+     * Удаление событий старше срока хранения у работающего бота
+     * (не чаще раза в час, журнал при этом переписывается)
+     */
+    prune() {
+        const now = Date.now();
+        if (now - this.prunedAt < 60 * 60 * 1000) {
+            return;
+        }
+        this.prunedAt = now;
+
+        // События добавляются по времени, старые - в начале списка
+        const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+        const index = this.events.findIndex(event => event.ts >= cutoff);
+        if (index === 0 || this.events.length === 0) {
+            return;
+        }
+
+        this.events = index === -1 ? [] : this.events.slice(index);
+
+        try {
+            this.rewrite();
+        } catch (error) {
+            logger.error('Failed to compact funnel journal:', error.message);
+        }
+    }
+
+    /**
+     * Перезапись журнала текущим списком событий
+     */
+    rewrite() {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, this.events.map(event => JSON.stringify(event) + '\n').join(''));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Начало нового заполнения формы
+     * @param {Object} session - Сессия пользователя
+     */
+    startRun(session) {
+        session.funnelRun = crypto.randomUUID();
+    }
+
+    /**
+     * Запись события воронки
+     * @param {Object} session - Сессия пользователя (с funnelRun и form)
+     * @param {string} event - Событие
+     * @param {Object} details - { step, reason }
+     */
+    record(session, event, details = {}) {
+        if (!session?.funnelRun || !session.form) {
+            return;
+        }
+
+        const entry = {
+            ts: Date.now(),
+            run: session.funnelRun,
+            form: session.form,
+            event,
+            ...details
+        };
+
+        this.prune();
+        this.events.push(entry);
+
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            logger.error('Failed to write funnel event:', error.message);
+        }
+
+        if (TERMINAL_EVENTS.includes(event)) {
+            session.funnelRun = null;
+        }
+    }
+
+    /**
+     * Отчет по форме за период
+     * @param {Object} form - Описание формы (forms/*.js)
+     * @param {Date} from - Начало периода (по времени начала заполнения)
+     * @param {Date} to - Конец периода
+     * @returns {Object}
+     */
+    report(form, from, to) {
+        const runs = new Map();
+
+        for (const event of this.events) {
+            if (event.form !== form.id) continue;
+
+            if (!runs.has(event.run)) {
+                runs.set(event.run, []);
+            }
+            runs.get(event.run).push(event);
+        }
+
+        // Шаг проверки ответов считается отдельным шагом воронки
+        const stepKeys = form.fields.map(field => field.key).concat(form.review ? ['review'] : []);
+        const steps = stepKeys.map(key => ({
+            step: key,
+            entered: 0,
+            validationFailures: 0,
+            stepBack: 0,
+            backToMenu: 0,
+            cancelled: 0,
+            abandoned: 0,
+            durations: []
+        }));
+        const byKey = new Map(steps.map(step => [step.step, step]));
+        const now = Date.now();
+        const reminders = { sent: 0, continued: 0, cancelled: 0, submitted: 0 };
+        let started = 0;
+        let submitted = 0;
+
+        for (const events of runs.values()) {
+            const startedAt = events[0].ts;
+            if (startedAt < from.getTime() || startedAt > to.getTime()) continue;
+
+            started++;
+            const entered = new Set();
+            let current = null;
+            let reminded = false;
+
+            for (const event of events) {
+                // Чем закончилось напоминание
+                if (event.event === 'reminder_sent') {
+                    reminded = true;
+                    reminders.sent++;
+                } else if (reminded && event.event === 'reminder_continued') {
+                    reminders.continued++;
+                } else if (reminded && event.event === 'cancelled') {
+                    reminders.cancelled++;
+                } else if (reminded && event.event === 'submitted') {
+                    reminders.submitted++;
+                }
+
+                const step = byKey.get(event.step);
+
+                if (event.event === 'step_entered' || event.event === 'submitted') {
+                    // Время на шаге - до входа в следующий шаг или отправки
+                    if (current) {
+                        current.step.durations.push(event.ts - current.ts);
+                    }
+                    current = step ? { step, ts: event.ts } : null;
+                }
+
+                if (!step) {
+                    if (event.event === 'submitted') submitted++;
+                    continue;
+                }
+
+                switch (event.event) {
+                    case 'step_entered':
+                        if (!entered.has(step.step)) {
+                            entered.add(step.step);
+                            step.entered++;
+                        }
+                        break;
+                    case 'validation_failed':
+                        step.validationFailures++;
+                        break;
+                    case 'step_back':
+                        step.stepBack++;
+                        break;
+                    case 'back_to_menu':
+                        step.backToMenu++;
+                        break;
+                    case 'cancelled':
+                        step.cancelled++;
+                        break;
+                    case 'abandoned':
+                        step.abandoned++;
+                        break;
+                }
+            }
+
+            const last = events[events.length - 1];
+            if (!TERMINAL_EVENTS.includes(last.event) && now - last.ts > this.abandonAfter && byKey.has(last.step)) {
+                byKey.get(last.step).abandoned++;
+            }
+        }
+
+        return {
+            form: form.id,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            started,
+            submitted,
+            conversion: started ? submitted / started : 0,
+            reminders,
+            steps: steps.map(({ durations, ...step }, index) => {
+                const next = steps[index + 1];
+                const passed = next ? next.entered : submitted;
+
+                return {
+                    ...step,
+                    conversion: step.entered ? passed / step.entered : 0,
+                    medianSeconds: this.median(durations) / 1000
+                };
+            })
+        };
+    }
+
+    median(values) {
+        if (values.length === 0) {
+            return 0;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+module.exports = FunnelStats;
@@ -0,0 +1,94 @@
+const http = require('http');
+const logger = require('../utils/logger');
+
+/**
+ * Встроенный HTTP сервер бота (webhook Telegram, служебные эндпоинты).
+ * Маршруты регистрируются по методу и пути: route('POST', '/webhook', handler).
+ */
+class HttpServer {
+    /**
+     * @param {Object} options
+     * @param {number} options.port - Порт
+     * @param {string} [options.host] - Адрес (по умолчанию все интерфейсы)
+     */
+    constructor({ port, host }) {
+        this.port = port;
+        this.host = host;
+        this.routes = new Map();
+        this.server = null;
+    }
+
+    /**
+     * Регистрация обработчика
+     * @param {string} method - HTTP метод
+     * @param {string} path - Путь без query string
+     * @param {Function} handler - (req, res) => Promise
+     */
+    route(method, path, handler) {
+        this.routes.set(`${method} ${path}`, handler);
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const handler = this.routes.get(`${req.method} ${pathname}`);
+
+        if (!handler) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        try {
+            await handler(req, res);
+        } catch (error) {
+            logger.error(`HTTP ${req.method} ${pathname} failed:`, error);
+            if (!res.headersSent) {
+                res.writeHead(500);
+            }
+            res.end();
+        }
+    }
+
+    /**
+     * Запуск сервера
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this.server) {
+            return Promise.resolve();
+        }
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                logger.info(`HTTP server listening on port ${this.server.address().port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Остановка сервера
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        const server = this.server;
+        this.server = null;
+
+        return new Promise((resolve) => {
+            server.close(() => resolve());
+            // Не ждем завершения keep-alive соединений (Node.js 18.2+)
+            if (typeof server.closeIdleConnections === 'function') {
+                server.closeIdleConnections();
+            }
+        });
+    }
+}
+
+module.exports = HttpServer;
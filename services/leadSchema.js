@@ -0,0 +1,157 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+/**
+ * Схема данных анкеты, отправляемых в WordPress.
+ * При изменении состава или типов полей нужно увеличить LEAD_SCHEMA_VERSION,
+ * чтобы WordPress мог отличить старые заявки от новых.
+ */
+const LEAD_SCHEMA_VERSION = 5;
+
+const LEAD_SCHEMA = {
+    telegram_id: { type: 'number', required: true },
+    username: { type: 'string' },
+    first_name: { type: 'string' },
+    last_name: { type: 'string' },
+    name: { type: 'string', required: true, maxLength: 200 },
+    surname: { type: 'string', maxLength: 100 },
+    given_name: { type: 'string', maxLength: 100 },
+    patronymic: { type: 'string', maxLength: 100 },
+    age: { type: ['number', 'string'] },
+    phone: { type: 'string', required: true },
+    phone_verified: { type: 'boolean' },
+    email: { type: 'string', maxLength: 254 },
+    education: { type: 'string', maxLength: 200 },
+    vacancy: { type: ['string', 'number'], maxLength: 200 },
+    message: { type: 'string', maxLength: 1000 }
+};
+
+/**
+ * Соответствие полей анкеты полям записи WordPress.
+ * Значение - путь в теле запроса (meta.* - post meta, acf.* - поля ACF)
+ * или массив путей, если поле нужно записать в несколько мест.
+ */
+const DEFAULT_FIELD_MAP = {
+    schema_version: 'meta.schema_version',
+    telegram_id: 'telegram_id',
+    username: 'meta.telegram_username',
+    first_name: 'meta.telegram_first_name',
+    last_name: 'meta.telegram_last_name',
+    name: ['title', 'name'],
+    surname: 'meta.surname',
+    given_name: 'meta.given_name',
+    patronymic: 'meta.patronymic',
+    age: 'meta.age',
+    phone: 'phone',
+    phone_verified: 'meta.phone_verified',
+    email: 'email',
+    education: 'meta.education',
+    vacancy: 'meta.vacancy',
+    message: 'message'
+};
+
+/**
+ * Загрузка карты полей: значения по умолчанию, переопределенные
+ * JSON файлом WP_FIELD_MAP_FILE. Значение null в файле отключает поле.
+ * @returns {Object}
+ */
+function loadFieldMap() {
+    const filePath = process.env.WP_FIELD_MAP_FILE;
+
+    if (!filePath) {
+        return { ...DEFAULT_FIELD_MAP };
+    }
+
+    try {
+        const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        logger.info(`Loaded WordPress field map from ${filePath}`);
+        return { ...DEFAULT_FIELD_MAP, ...overrides };
+    } catch (error) {
+        logger.error(`Failed to load WordPress field map from ${filePath}, using defaults:`, error.message);
+        return { ...DEFAULT_FIELD_MAP };
+    }
+}
+
+/**
+ * Проверка данных анкеты по схеме
+ * @param {Object} data - Данные анкеты
+ * @returns {Array<string>} Список ошибок (пустой, если данные корректны)
+ */
+function validateLead(data) {
+    const errors = [];
+
+    for (const [field, rules] of Object.entries(LEAD_SCHEMA)) {
+        const value = data[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rules.required) {
+                errors.push(`Missing required field: ${field}`);
+            }
+            continue;
+        }
+
+        const types = Array.isArray(rules.type) ? rules.type : [rules.type];
+        if (!types.includes(typeof value)) {
+            errors.push(`Invalid type for ${field}: expected ${types.join('|')}, got ${typeof value}`);
+            continue;
+        }
+
+        if (rules.maxLength && String(value).length > rules.maxLength) {
+            errors.push(`Field ${field} exceeds ${rules.maxLength} characters`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Установка значения по пути вида "meta.age"
+ * @param {Object} target - Объект назначения
+ * @param {string} pathString - Путь
+ * @param {*} value - Значение
+ */
+function setPath(target, pathString, value) {
+    const parts = pathString.split('.');
+    let node = target;
+
+    for (const part of parts.slice(0, -1)) {
+        node[part] = node[part] || {};
+        node = node[part];
+    }
+
+    node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Преобразование данных анкеты в тело запроса WordPress по карте полей
+ * @param {Object} data - Данные анкеты
+ * @param {Object} fieldMap - Карта полей
+ * @returns {Object}
+ */
+function mapLead(data, fieldMap) {
+    const source = { ...data, schema_version: LEAD_SCHEMA_VERSION };
+    const payload = {};
+
+    for (const [field, targets] of Object.entries(fieldMap)) {
+        const value = source[field];
+
+        if (!targets || value === undefined || value === null || value === '') {
+            continue;
+        }
+
+        for (const target of Array.isArray(targets) ? targets : [targets]) {
+            setPath(payload, target, value);
+        }
+    }
+
+    return payload;
+}
+
+module.exports = {
+    LEAD_SCHEMA_VERSION,
+    LEAD_SCHEMA,
+    DEFAULT_FIELD_MAP,
+    loadFieldMap,
+    validateLead,
+    mapLead
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Персистентная очередь исходящих заявок (outbox).
+ *
+ * Каждая заявка сначала записывается в журнал JSON Lines и только потом
+ * отправляется в WordPress, поэтому данные не теряются при падении WordPress
+ * или перезапуске бота. Журнал хранит снимки записей (`put`) и удаления
+ * (`remove`); при загрузке он воспроизводится и сжимается.
+ */
+class Outbox {
+    /**
+     * @param {Object} options
+     * @param {Object} options.wpAPI - Экземпляр WordPressAPI
+     * @param {Function} [options.onDelivered] - Вызывается после доставки (entry, result)
+     * @param {string} [options.filePath] - Путь к журналу
+     */
+    constructor({ wpAPI, onDelivered = null, filePath = process.env.OUTBOX_FILE || path.join('data', 'outbox.jsonl') }) {
+        this.wpAPI = wpAPI;
+        this.onDelivered = onDelivered;
+        this.filePath = filePath;
+
+        this.pollInterval = parseInt(process.env.OUTBOX_POLL_INTERVAL, 10) || 15000; // 15 секунд
+        this.baseDelay = parseInt(process.env.OUTBOX_BASE_DELAY, 10) || 30000; // 30 секунд
+        this.maxDelay = parseInt(process.env.OUTBOX_MAX_DELAY, 10) || 60 * 60 * 1000; // 1 час
+        this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 50;
+        this.compactThreshold = 100;
+
+        // Обработчики доставки по типу заявки
+        this.handlers = {
+            lead: (payload, options) => this.wpAPI.submitUserData(payload, options),
+            complaint: (payload, options) => this.wpAPI.submitComplaint(payload, options)
+        };
+
+        this.entries = new Map();
+        this.journalWrites = 0;
+        this.draining = false;
+        this.timer = null;
+
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.load();
+    }
+
+    /**
+     * Загрузка журнала с диска и его сжатие
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            try {
+                const record = JSON.parse(line);
+                if (record.op === 'put') {
+                    this.entries.set(record.entry.id, record.entry);
+                } else if (record.op === 'remove') {
+                    this.entries.delete(record.id);
+                }
+            } catch (error) {
+                logger.warn('Skipping corrupted outbox journal line');
+            }
+        }
+
+        this.compact();
+        logger.info(`Outbox loaded: ${this.size()} pending submissions`);
+    }
+
+    /**
+     * Перезапись журнала только с актуальными записями
+     */
+    compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+        const content = Array.from(this.entries.values())
+            .map(entry => JSON.stringify({ op: 'put', entry }) + '\n')
+            .join('');
+
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, this.filePath);
+        this.journalWrites = 0;
+    }
+
+    /**
+     * Добавление записи в журнал
+     * @param {Object} record - Запись журнала
+     */
+    append(record) {
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        this.journalWrites++;
+
+        if (this.journalWrites >= this.compactThreshold) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Сохранение текущего состояния записи
+     * @param {Object} entry - Запись outbox
+     */
+    persist(entry) {
+        this.entries.set(entry.id, entry);
+        this.append({ op: 'put', entry });
+    }
+
+    /**
+     * Удаление записи из очереди
+     * @param {string} id - ID записи
+     */
+    remove(id) {
+        this.entries.delete(id);
+        this.append({ op: 'remove', id });
+    }
+
+    /**
+     * Постановка заявки в очередь и немедленная попытка доставки
+     * @param {string} type - Тип заявки (lead, complaint)
+     * @param {Object} payload - Данные заявки
+     * @param {Object} meta - Локальные данные для уведомления (chatId, userId, locale), в WordPress не передаются
+     * @returns {Promise<Object>} { status: 'delivered'|'pending'|'rejected', entry, result }
+     */
+    async submit(type, payload, meta = {}) {
+        if (!this.handlers[type]) {
+            throw new Error(`Unknown submission type: ${type}`);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(), // Также используется как ключ идемпотентности
+            type,
+            payload,
+            meta,
+            status: 'pending',
+            attempts: 0,
+            // Фоновый обработчик не трогает запись, пока идет первая попытка
+            nextAttemptAt: Date.now() + this.baseDelay,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.persist(entry);
+
+        return await this.deliver(entry);
+    }
+
+    /**
+     * Попытка доставки одной записи
+     * @param {Object} entry - Запись outbox
+     * @returns {Promise<Object>}
+     */
+    async deliver(entry) {
+        entry.attempts++;
+
+        let result;
+        try {
+            result = await this.handlers[entry.type](entry.payload, { idempotencyKey: entry.id });
+        } catch (error) {
+            result = { success: false, error: error.message, retryable: true };
+        }
+
+        if (result.success) {
+            this.remove(entry.id);
+            logger.info(`Outbox ${entry.id} (${entry.type}) delivered after ${entry.attempts} attempt(s), remote ID: ${result.id}`);
+
+            if (this.onDelivered) {
+                try {
+                    await this.onDelivered(entry, result);
+                } catch (error) {
+                    logger.warn(`Outbox delivery callback failed for ${entry.id}:`, error.message);
+                }
+            }
+
+            return { status: 'delivered', entry, result };
+        }
+
+        entry.lastError = result.error;
+
+        if (!result.retryable || entry.attempts >= this.maxAttempts) {
+            // Оставляем запись в журнале для ручного разбора
+            entry.status = 'dead';
+            this.persist(entry);
+            logger.error(`Outbox ${entry.id} (${entry.type}) rejected after ${entry.attempts} attempt(s): ${result.error}`);
+
+            return { status: 'rejected', entry, result };
+        }
+
+        entry.nextAttemptAt = Date.now() + this.getBackoffDelay(entry.attempts);
+        this.persist(entry);
+        logger.warn(`Outbox ${entry.id} (${entry.type}) attempt ${entry.attempts} failed, next at ${new Date(entry.nextAttemptAt).toISOString()}`);
+
+        return { status: 'pending', entry, result };
+    }
+
+    /**
+     * Экспоненциальная задержка с джиттером (equal jitter)
+     * @param {number} attempts - Количество выполненных попыток
+     * @returns {number} Задержка в миллисекундах
+     */
+    getBackoffDelay(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Отправка всех записей, для которых подошло время повтора
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        if (this.draining) {
+            return;
+        }
+
+        this.draining = true;
+
+        try {
+            const now = Date.now();
+            const due = Array.from(this.entries.values())
+                .filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+            for (const entry of due) {
+                await this.deliver(entry);
+            }
+        } catch (error) {
+            logger.error('Outbox drain error:', error);
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Запуск фонового обработчика очереди
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.drain(), this.pollInterval);
+        this.timer.unref();
+        this.drain();
+    }
+
+    /**
+     * Остановка фонового обработчика
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Записи, ожидающие доставки
+     * @param {Function} [filter] - Дополнительный фильтр
+     * @returns {Array}
+     */
+    pending(filter = () => true) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.status === 'pending' && filter(entry));
+    }
+
+    /**
+     * Количество записей, ожидающих доставки
+     * @returns {number}
+     */
+    size() {
+        return this.pending().length;
+    }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,193 @@
+const logger = require('../utils/logger');
+const { t, resolveLocale } = require('../utils/i18n');
+
+/**
+ * Напоминания о брошенных формах.
+ *
+ * Периодически просматривает сессии и пользователю, который не отвечает
+ * на вопрос формы дольше REMINDER_IDLE_MINUTES, отправляет одно напоминание
+ * с кнопками "Продовжити" / "Скасувати". В тихие часы напоминания
+ * откладываются, общее число напоминаний на пользователя ограничено
+ * (счетчик хранится в статистике UserController).
+ *
+ * Сессия меняется вне middleware Telegraf, поэтому перед записью она
+ * перечитывается и в ней обновляются только поля напоминания.
+ */
+class ReminderScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.sessionStore - Хранилище сессий (с методом entries)
+     * @param {Object} options.telegram - Экземпляр Telegram из Telegraf
+     * @param {Object} options.formEngine - Движок форм
+     * @param {Object} options.userController - Учет отправленных напоминаний
+     * @param {Object} [options.funnelStats] - Воронка для записи напоминаний
+     */
+    constructor({ sessionStore, telegram, formEngine, userController, funnelStats = null }) {
+        this.sessionStore = sessionStore;
+        this.telegram = telegram;
+        this.formEngine = formEngine;
+        this.userController = userController;
+        this.funnelStats = funnelStats;
+
+        this.enabled = process.env.REMINDERS_ENABLED !== 'false';
+        this.idleTime = (parseInt(process.env.REMINDER_IDLE_MINUTES, 10) || 60) * 60 * 1000;
+        this.checkInterval = (parseInt(process.env.REMINDER_CHECK_MINUTES, 10) || 5) * 60 * 1000;
+        this.maxPerUser = parseInt(process.env.REMINDER_MAX_PER_USER, 10) || 3;
+        this.quietHours = this.parseQuietHours(process.env.REMINDER_QUIET_HOURS || '22-8');
+        this.timeZone = process.env.REMINDER_TIMEZONE || 'Europe/Kyiv';
+
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Разбор интервала тихих часов "22-8"
+     * @param {string} value - Интервал "начало-конец" (часы)
+     * @returns {Object|null} { start, end }
+     */
+    parseQuietHours(value) {
+        const match = /^(\d{1,2})-(\d{1,2})$/.exec(value.trim());
+        return match ? { start: parseInt(match[1], 10), end: parseInt(match[2], 10) } : null;
+    }
+
+    /**
+     * Попадает ли время в тихие часы (в часовом поясе REMINDER_TIMEZONE)
+     * @param {Date} date - Время
+     * @returns {boolean}
+     */
+    isQuietTime(date = new Date()) {
+        if (!this.quietHours) {
+            return false;
+        }
+
+        const hour = parseInt(new Intl.DateTimeFormat('en-GB', {
+            hour: 'numeric',
+            hourCycle: 'h23',
+            timeZone: this.timeZone
+        }).format(date), 10);
+        const { start, end } = this.quietHours;
+
+        // Интервал может переходить через полночь (22-8)
+        return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+    }
+
+    /**
+     * Нужно ли напомнить пользователю о форме
+     * @param {number} userId - Telegram ID пользователя
+     * @param {Object} session - Сессия
+     * @param {number} now - Текущее время
+     * @returns {boolean}
+     */
+    isDue(userId, session, now) {
+        if (!session?.lastActivityAt || !this.formEngine.getCurrentStep(session)) {
+            return false;
+        }
+
+        return now - session.lastActivityAt >= this.idleTime &&
+            session.reminder?.run !== this.getRun(session) &&
+            this.userController.getRemindersSent(userId) < this.maxPerUser;
+    }
+
+    /**
+     * Идентификатор прохождения формы, о котором напоминаем
+     * @param {Object} session - Сессия
+     * @returns {string}
+     */
+    getRun(session) {
+        return session.funnelRun || `${session.form}:${session.step}`;
+    }
+
+    /**
+     * Проверка сессий и отправка напоминаний
+     * @returns {Promise<void>}
+     */
+    async check() {
+        if (this.checking || this.isQuietTime()) {
+            return;
+        }
+
+        this.checking = true;
+
+        try {
+            const now = Date.now();
+
+            for (const [key, session] of await this.sessionStore.entries()) {
+                if (this.isDue(Number(key.split(':')[0]), session, now)) {
+                    await this.remind(key);
+                }
+            }
+        } catch (error) {
+            logger.error('Reminder check error:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Отправка напоминания
+     * @param {string} key - Ключ сессии (fromId:chatId)
+     */
+    async remind(key) {
+        const [userId, chatId] = key.split(':');
+
+        // Перечитываем сессию: пока шла проверка, пользователь мог ответить
+        const session = await this.sessionStore.get(key);
+
+        if (!this.isDue(Number(userId), session, Date.now())) {
+            return;
+        }
+
+        const { form, key: step } = this.formEngine.getCurrentStep(session);
+        // Язык из /language или из последнего обновления пользователя
+        const locale = resolveLocale(session.locale || session.languageCode);
+
+        // Отмечаем напоминание до отправки, чтобы не повторять его при ошибке
+        session.reminder = {
+            run: this.getRun(session),
+            sentAt: Date.now()
+        };
+        this.userController.recordReminder(Number(userId));
+
+        if (this.funnelStats) {
+            this.funnelStats.record(session, 'reminder_sent', { step });
+        }
+
+        await this.sessionStore.set(key, session);
+
+        try {
+            await this.telegram.sendMessage(
+                chatId,
+                t(locale, 'reminder.text', { form: t(locale, form.title) }),
+                {
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{ text: t(locale, 'button.continue'), callback_data: 'reminder:continue' }],
+                            [{ text: t(locale, 'button.cancel'), callback_data: 'reminder:cancel' }]
+                        ]
+                    }
+                }
+            );
+            logger.telegram(Number(userId), 'form_reminder_sent', { form: form.id, step });
+        } catch (error) {
+            logger.warn(`Failed to send form reminder to ${chatId}:`, error.message);
+        }
+    }
+
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.check(), this.checkInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = ReminderScheduler;
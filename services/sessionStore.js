@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Хранилища сессий для middleware session() из Telegraf.
+ * Все хранилища реализуют интерфейс { get, set, delete, entries, close }
+ * и удаляют сессии, которые не обновлялись дольше TTL.
+ */
+
+/**
+ * Хранилище сессий в JSON файле
+ */
+class FileSessionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Путь к файлу сессий
+     * @param {number} options.ttl - Время жизни сессии в секундах
+     */
+    constructor({ filePath, ttl }) {
+        this.filePath = filePath;
+        this.ttl = ttl;
+        this.sessions = new Map();
+        this.flushTimer = null;
+        this.flushDelay = 500;
+
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.load();
+
+        // Удаление просроченных сессий каждые 10 минут
+        this.cleanupTimer = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const [key, record] of Object.entries(data)) {
+                this.sessions.set(key, record);
+            }
+            this.cleanup();
+            logger.info(`Session store loaded: ${this.sessions.size} sessions`);
+        } catch (error) {
+            logger.error('Failed to load session store, starting empty:', error.message);
+        }
+    }
+
+    get(key) {
+        const record = this.sessions.get(key);
+
+        if (!record) {
+            return undefined;
+        }
+
+        if (record.expiresAt <= Date.now()) {
+            this.delete(key);
+            return undefined;
+        }
+
+        return record.value;
+    }
+
+    set(key, value) {
+        this.sessions.set(key, {
+            value,
+            expiresAt: Date.now() + this.ttl * 1000
+        });
+        this.scheduleFlush();
+    }
+
+    delete(key) {
+        if (this.sessions.delete(key)) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Все активные сессии
+     * @returns {Promise<Array>} [[key, value], ...]
+     */
+    async entries() {
+        const now = Date.now();
+        return Array.from(this.sessions.entries())
+            .filter(([, record]) => record.expiresAt > now)
+            .map(([key, record]) => [key, record.value]);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [key, record] of this.sessions.entries()) {
+            if (record.expiresAt <= now) {
+                this.sessions.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            logger.info(`Session cleanup: removed ${removed} expired sessions`);
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Отложенная запись, чтобы не переписывать файл на каждое сообщение
+     */
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    flush() {
+        const tmpPath = `${this.filePath}.tmp`;
+
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.sessions)));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error('Failed to write session store:', error.message);
+        }
+    }
+
+    async close() {
+        clearInterval(this.cleanupTimer);
+
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        this.flush();
+    }
+}
+
+/**
+ * Хранилище сессий в Redis (или совместимом сервере: KeyDB, Valkey, Dragonfly)
+ */
+class RedisSessionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - URL подключения
+     * @param {string} [options.password] - Пароль
+     * @param {number} options.ttl - Время жизни сессии в секундах
+     * @param {string} [options.prefix] - Префикс ключей
+     */
+    constructor({ url, password, ttl, prefix = 'telegram-bot:session:' }) {
+        // Подключаем клиент только при использовании Redis
+        const Redis = require('ioredis');
+
+        this.ttl = ttl;
+        this.prefix = prefix;
+        this.client = new Redis(url, {
+            password: password || undefined,
+            maxRetriesPerRequest: 3
+        });
+
+        this.client.on('error', (error) => {
+            logger.error('Redis session store error:', error.message);
+        });
+    }
+
+    /**
+     * Ошибка Redis не прерывает обработку обновления: пользователь
+     * получает пустую сессию вместо отсутствия ответа
+     */
+    async get(key) {
+        try {
+            const raw = await this.client.get(this.prefix + key);
+            return raw ? JSON.parse(raw) : undefined;
+        } catch (error) {
+            logger.error(`Failed to read session ${key}, using empty session:`, error.message);
+            return undefined;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            // Redis сам удаляет ключ по истечении TTL
+            await this.client.set(this.prefix + key, JSON.stringify(value), 'EX', this.ttl);
+        } catch (error) {
+            logger.error(`Failed to write session ${key}:`, error.message);
+        }
+    }
+
+    async delete(key) {
+        try {
+            await this.client.del(this.prefix + key);
+        } catch (error) {
+            logger.error(`Failed to delete session ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Все активные сессии
+     * @returns {Promise<Array>} [[key, value], ...]
+     */
+    async entries() {
+        const result = [];
+        let cursor = '0';
+
+        do {
+            const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+            cursor = next;
+
+            if (keys.length > 0) {
+                const values = await this.client.mget(keys);
+                keys.forEach((key, index) => {
+                    if (values[index]) {
+                        result.push([key.slice(this.prefix.length), JSON.parse(values[index])]);
+                    }
+                });
+            }
+        } while (cursor !== '0');
+
+        return result;
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+/**
+ * Создание хранилища сессий по настройкам окружения.
+ * SESSION_STORE: redis | file (по умолчанию redis, если задан REDIS_URL)
+ * @returns {FileSessionStore|RedisSessionStore}
+ */
+function createSessionStore() {
+    const ttl = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 72) * 60 * 60;
+    const type = process.env.SESSION_STORE || (process.env.REDIS_URL ? 'redis' : 'file');
+
+    if (type === 'redis') {
+        logger.info('Using Redis session store');
+        return new RedisSessionStore({
+            url: process.env.REDIS_URL,
+            password: process.env.REDIS_PASSWORD,
+            ttl
+        });
+    }
+
+    logger.info('Using file session store');
+    return new FileSessionStore({
+        filePath: process.env.SESSION_FILE || path.join('data', 'sessions.json'),
+        ttl
+    });
+}
+
+module.exports = {
+    createSessionStore,
+    FileSessionStore,
+    RedisSessionStore
+};
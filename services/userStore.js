@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Поля, которые хранятся как даты и восстанавливаются при загрузке
+const DATE_FIELDS = ['lastActivity', 'createdAt', 'blockedAt', 'blockedUntil', 'firstSeen', 'lastSeen'];
+
+/**
+ * Коллекция записей по Telegram ID с интерфейсом Map.
+ * Каждое изменение планирует запись хранилища на диск.
+ */
+class StoredCollection {
+    constructor(store) {
+        this.store = store;
+        this.items = new Map();
+    }
+
+    get(userId) {
+        return this.items.get(userId);
+    }
+
+    has(userId) {
+        return this.items.has(userId);
+    }
+
+    set(userId, value) {
+        this.items.set(userId, value);
+        this.store.scheduleFlush();
+        return this;
+    }
+
+    delete(userId) {
+        const deleted = this.items.delete(userId);
+        if (deleted) {
+            this.store.scheduleFlush();
+        }
+        return deleted;
+    }
+
+    entries() {
+        return this.items.entries();
+    }
+
+    get size() {
+        return this.items.size;
+    }
+}
+
+/**
+ * Хранилище реестра пользователей (users) и их статистики (stats) в JSON файле.
+ * Без filePath работает только в памяти.
+ */
+class FileUserStore {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.filePath - Путь к файлу (null - без сохранения на диск)
+     */
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.users = new StoredCollection(this);
+        this.stats = new StoredCollection(this);
+        this.flushTimer = null;
+        this.flushDelay = 1000;
+
+        if (this.filePath) {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            this.load();
+        }
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            for (const name of ['users', 'stats']) {
+                for (const [key, record] of Object.entries(data[name] || {})) {
+                    this[name].items.set(Number(key), this.reviveDates(record));
+                }
+            }
+
+            logger.info(`User store loaded: ${this.users.size} users, ${this.stats.size} stats records`);
+        } catch (error) {
+            logger.error('Failed to load user store, starting empty:', error.message);
+        }
+    }
+
+    reviveDates(record) {
+        for (const field of DATE_FIELDS) {
+            if (record[field]) {
+                record[field] = new Date(record[field]);
+            }
+        }
+        return record;
+    }
+
+    scheduleFlush() {
+        if (!this.filePath || this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    flush() {
+        const tmpPath = `${this.filePath}.tmp`;
+
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                users: Object.fromEntries(this.users.items),
+                stats: Object.fromEntries(this.stats.items)
+            }));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error('Failed to write user store:', error.message);
+        }
+    }
+
+    async close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (this.filePath) {
+            this.flush();
+        }
+    }
+}
+
+/**
+ * Создание хранилища пользователей по настройкам окружения.
+ * USER_STORE: file (по умолчанию) | memory
+ * @returns {FileUserStore}
+ */
+function createUserStore() {
+    if (process.env.USER_STORE === 'memory') {
+        logger.info('Using in-memory user store');
+        return new FileUserStore({ filePath: null });
+    }
+
+    logger.info('Using file user store');
+    return new FileUserStore({
+        filePath: process.env.USER_STORE_FILE || path.join('data', 'users.json')
+    });
+}
+
+module.exports = {
+    createUserStore,
+    FileUserStore
+};
@@ -0,0 +1,103 @@
+const logger = require('../utils/logger');
+
+// Используется, пока WordPress ни разу не вернул вакансии.
+// У запасных вакансий нет ID каталога: в заявку попадает название (fallback: true)
+const FALLBACK_VACANCIES = [
+    { id: null, title: 'Оператор БПЛА', description: '', requirements: '', link: null, fallback: true },
+    { id: null, title: 'Водій', description: '', requirements: '', link: null, fallback: true },
+    { id: null, title: 'Бойовий медик', description: '', requirements: '', link: null, fallback: true }
+];
+
+/**
+ * Каталог вакансий из WordPress с кэшированием.
+ * Список обновляется не чаще, чем раз в refreshInterval; при ошибке
+ * WordPress используется последняя успешно загруженная версия.
+ */
+class VacancyCatalog {
+    /**
+     * @param {Object} options
+     * @param {Object} options.wpAPI - Экземпляр WordPressAPI
+     */
+    constructor({ wpAPI }) {
+        this.wpAPI = wpAPI;
+        this.refreshInterval = (parseInt(process.env.VACANCY_REFRESH_MINUTES, 10) || 15) * 60 * 1000;
+        this.vacancies = null;
+        this.loadedAt = 0;
+        this.refreshing = null;
+    }
+
+    /**
+     * Получение списка вакансий (из кэша или WordPress)
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+        if (this.loadedAt && Date.now() - this.loadedAt < this.refreshInterval) {
+            return this.vacancies;
+        }
+
+        // Одновременные запросы ждут одного обновления
+        if (!this.refreshing) {
+            this.refreshing = this.refresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        await this.refreshing;
+
+        return this.vacancies;
+    }
+
+    /**
+     * Загрузка вакансий из WordPress
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const result = await this.wpAPI.getVacancies();
+
+        if (!result.success) {
+            const cached = this.vacancies && this.vacancies !== FALLBACK_VACANCIES;
+            logger.warn(`Vacancy catalog refresh failed, using ${cached ? 'cached' : 'fallback'} list`);
+
+            if (!cached) {
+                this.vacancies = FALLBACK_VACANCIES;
+            }
+
+            // Повторим попытку не раньше, чем через минуту
+            this.loadedAt = Date.now() - this.refreshInterval + 60 * 1000;
+            return;
+        }
+
+        const vacancies = result.data.filter(vacancy => vacancy.id && vacancy.title);
+
+        if (vacancies.length === 0) {
+            logger.warn('WordPress returned an empty vacancy catalog');
+        }
+
+        this.vacancies = vacancies.length > 0 ? vacancies : FALLBACK_VACANCIES;
+        this.loadedAt = Date.now();
+        logger.info(`Vacancy catalog refreshed: ${vacancies.length} vacancies`);
+    }
+
+    /**
+     * Поиск вакансии по ID
+     * @param {string|number} id - ID вакансии
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const vacancies = await this.getAll();
+        return vacancies.find(vacancy => !vacancy.fallback && String(vacancy.id) === String(id)) || null;
+    }
+
+    /**
+     * Поиск вакансии по названию (текст кнопки)
+     * @param {string} title - Название вакансии
+     * @returns {Promise<Object|null>}
+     */
+    async findByTitle(title) {
+        const vacancies = await this.getAll();
+        const normalized = title.trim().toLowerCase();
+        return vacancies.find(vacancy => vacancy.title.trim().toLowerCase() === normalized) || null;
+    }
+}
+
+module.exports = VacancyCatalog;
@@ -1,133 +1,356 @@
 const logger = require('../utils/logger');
+const { variants } = require('../utils/i18n');
+const { parsePhone, PHONE_ERROR_CODES } = require('../utils/phone');
+
+// Буквы украинского алфавита (без ъ, ы, э, ё) и латиница для иностранных имен
+const UK_LETTERS = 'а-щьюяєіїґА-ЩЬЮЯЄІЇҐ';
+const LATIN_LETTERS = 'a-zA-Z';
+
+// Варианты апострофа (Дем'ян, Дем’ян, Демʼян) приводятся к одному символу
+const APOSTROPHES = /[’ʼ‘`´ʹ′]/g;
+
+// Слова, по которым имя считается выдуманным. Сравниваются целые части имени,
+// а не подстроки, чтобы не отклонять настоящие фамилии (Тестоедов, Спамер)
+const SUSPICIOUS_NAME_WORDS = new Set([
+    'test', 'тест',
+    'admin', 'адмін',
+    'spam', 'спам',
+    'fake', 'фейк',
+    'qwerty', 'asdf', 'йцукен', 'фіва'
+]);
+
+// Один символ повторяется более 3 раз подряд
+const REPEATED_CHARACTERS = /(.)\1{3,}/;
+
+// Коды ошибок методов check* по типам проверки. Для каждого кода
+// в locales/ есть объяснение validation.<тип>.<code> (см. explain)
+const ERROR_CODES = {
+    name: [
+        'empty', 'too_long', 'digits', 'non_ukrainian_letters', 'invalid_characters',
+        'mixed_scripts', 'too_few_parts', 'too_many_parts', 'short_part', 'suspicious'
+    ],
+    phone: PHONE_ERROR_CODES,
+    age: ['not_a_number', 'out_of_range'],
+    email: ['empty', 'invalid_format', 'too_long', 'disposable', 'suspicious'],
+    message: [
+        'not_text', 'too_long', 'repeated_characters', 'too_many_links',
+        'spam_words', 'unsafe_content', 'money'
+    ]
+};
+
+/**
+ * Успешный результат проверки
+ * @param {*} value - Нормализованное значение
+ * @param {Object} details - Дополнительные данные
+ * @returns {Object}
+ */
+function valid(value, details = {}) {
+    return { ok: true, value, code: null, details };
+}
+
+/**
+ * Неуспешный результат проверки
+ * @param {string} code - Код причины (ключ объяснения validation.<поле>.<code> в locales/)
+ * @param {Object} details - Параметры для текста объяснения
+ * @returns {Object}
+ */
+function invalid(code, details = {}) {
+    return { ok: false, value: null, code, details };
+}
+
+/**
+ * Проверки пользовательского ввода.
+ * Методы check* возвращают { ok, value, code, details }: value - нормализованное
+ * значение, code - причина отказа. Методы validate* - булевы обертки для
+ * обратной совместимости.
+ */
 class ValidationService {
     constructor() {
         // Регулярные выражения для валидации
         this.patterns = {
             email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-            phone: /^(\+380|0)\d{9}$/,
-            name: /^[а-яёА-ЯЁa-zA-Z\s\-]{2,50}$/
+            name: new RegExp(`^[${UK_LETTERS}${LATIN_LETTERS}' -]+$`),
+            age: /^(\d{1,3})\s*(роки|років|рік|р\.?|years?|y\.?o\.?)?$/i
         };
+
+        // Ограничения ПІБ: прізвище та ім'я обязательны, по батькові - нет
+        this.nameLimits = {
+            maxLength: 100,
+            minParts: 2,
+            maxParts: 3
+        };
+
+        // Допустимый возраст кандидата
+        this.ageRange = {
+            min: parseInt(process.env.MIN_AGE, 10) || 18,
+            max: parseInt(process.env.MAX_AGE, 10) || 60
+        };
+
+        // Канонические уровни образования, ключи подписей кнопок и распространенные варианты написания
+        this.educationLevels = [
+            { value: 'середня', label: 'education.secondary', aliases: ['загальна середня', 'повна середня', 'базова середня', 'школа', '11 класів', '9 класів'] },
+            { value: 'професійно-технічна', label: 'education.vocational', aliases: ['професійна', 'птну', 'пту', 'ліцей', 'училище'] },
+            { value: 'фахова передвища', label: 'education.pre_higher', aliases: ['неповна вища', 'технікум', 'коледж', 'молодший спеціаліст'] },
+            { value: 'вища', label: 'education.higher', aliases: ['бакалавр', 'магістр', 'спеціаліст', 'університет', 'інститут'] }
+        ];
     }
 
     /**
-     * Валидация имени
-     * @param {string} name - Имя для проверки
-     * @returns {boolean}
+     * Разбор ПІБ: прізвище, ім'я и (необязательно) по батькові.
+     * Принимает украинскую орфографию с апострофом и дефисом (Квітка-Основ'яненко),
+     * латиницу для иностранцев; приводит регистр к "Шевченко Тарас Григорович".
+     *
+     * Коды ошибок - ERROR_CODES.name.
+     *
+     * @param {string} name - Введенный ПІБ
+     * @returns {Object} Результат проверки, details: { surname, givenName, patronymic }
      */
-    validateName(name) {
-        if (!name || typeof name !== 'string') {
-            return false;
+    checkName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return invalid('empty');
         }
 
-        const trimmedName = name.trim();
-        
-        // Проверка длины
-        if (trimmedName.length < 2 || trimmedName.length > 50) {
-            return false;
+        const normalized = name.trim()
+            .replace(APOSTROPHES, "'")
+            .replace(/\s*-\s*/g, '-')
+            .replace(/\s+/g, ' ');
+
+        if (normalized.length > this.nameLimits.maxLength) {
+            return invalid('too_long', { max: this.nameLimits.maxLength });
         }
 
-        // Проверка на корректные символы
-        if (!this.patterns.name.test(trimmedName)) {
-            return false;
+        if (/\d/.test(normalized)) {
+            return invalid('digits');
         }
 
-        // Проверка на наличие цифр
-        if (/\d/.test(trimmedName)) {
-            return false;
+        if (/[ъыэёЪЫЭЁ]/.test(normalized)) {
+            return invalid('non_ukrainian_letters');
         }
 
-        // Проверка на подозрительные паттерны
-        const suspiciousPatterns = [
-            /test/i,
-            /admin/i,
-            /bot/i,
-            /spam/i,
-            /fake/i,
-            /qwerty/i,
-            /asdf/i,
-            /^[a-z]+$/i, // только одни строчные или заглавные буквы
-            /(.)\1{3,}/ // повторяющиеся символы более 3 раз
-        ];
+        // Инициалы ("Т. Г.") не принимаем - нужен полный ПІБ
+        if (new RegExp(`(^| )[${UK_LETTERS}${LATIN_LETTERS}]\\.`).test(normalized)) {
+            return invalid('short_part');
+        }
+
+        if (!this.patterns.name.test(normalized)) {
+            return invalid('invalid_characters');
+        }
+
+        const words = [];
+
+        for (const rawWord of normalized.split(' ')) {
+            const word = this.fixLatinI(rawWord);
+            const cyrillic = new RegExp(`[${UK_LETTERS}]`).test(word);
+            const latin = new RegExp(`[${LATIN_LETTERS}]`).test(word);
+
+            if (cyrillic && latin) {
+                return invalid('mixed_scripts');
+            }
+
+            const segments = word.split('-');
+            const segmentPattern = new RegExp(`^[${UK_LETTERS}${LATIN_LETTERS}]+('[${UK_LETTERS}${LATIN_LETTERS}]+)*$`);
+
+            if (!segments.every(segment => segmentPattern.test(segment))) {
+                return invalid('invalid_characters');
+            }
+
+            if (segments.some(segment => segment.replace(/'/g, '').length < 2)) {
+                return invalid('short_part');
+            }
 
-        return !suspiciousPatterns.some(pattern => pattern.test(trimmedName));
+            words.push(segments.map(segment => this.capitalize(segment)).join('-'));
+        }
+
+        if (words.length < this.nameLimits.minParts) {
+            return invalid('too_few_parts');
+        }
+
+        if (words.length > this.nameLimits.maxParts) {
+            return invalid('too_many_parts');
+        }
+
+        const value = words.join(' ');
+
+        const parts = value.toLowerCase().split(/[ '-]/);
+
+        if (parts.some(part => SUSPICIOUS_NAME_WORDS.has(part)) || REPEATED_CHARACTERS.test(value)) {
+            return invalid('suspicious');
+        }
+
+        return valid(value, {
+            surname: words[0],
+            givenName: words[1],
+            patronymic: words[2] || null
+        });
     }
 
     /**
-     * Валидация номера телефона
-     * @param {string} phone - Номер телефона
-     * @returns {boolean}
+     * Замена латинской i на украинскую і в кириллическом слове
+     * (частая ошибка при наборе без украинской раскладки: "Iгор")
+     * @param {string} word - Слово
+     * @returns {string}
      */
-    validatePhone(phone) {
-        if (!phone || typeof phone !== 'string') {
-            return false;
+    fixLatinI(word) {
+        if (!new RegExp(`[${UK_LETTERS}]`).test(word)) {
+            return word;
         }
 
-        // Убираем все пробелы, скобки, дефисы
-        const cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
-        
-        // Проверка базового формата
-        if (!this.patterns.phone.test(cleanPhone)) {
-            return false;
+        return word.replace(/i/g, 'і').replace(/I/g, 'І');
+    }
+
+    /**
+     * Заглавная первая буква, остальные строчные.
+     * В латинских именах с заглавной пишется и часть после апострофа (O'Brien),
+     * в украинских апостроф не начинает новую часть (Дем'ян).
+     * @param {string} word - Часть имени
+     * @returns {string}
+     */
+    capitalize(word) {
+        const upperFirst = part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+
+        if (new RegExp(`[${LATIN_LETTERS}]`).test(word)) {
+            return word.split("'").map(upperFirst).join("'");
         }
-        
-        // Дополнительные проверки
-        if (cleanPhone.startsWith('+380')) {
-            return cleanPhone.length === 13; // +380XXXXXXXXX
-        } else if (cleanPhone.startsWith('0')) {
-            return cleanPhone.length === 10; // 0XXXXXXXXX
+
+        return upperFirst(word);
+    }
+
+    /**
+     * Валидация имени (ПІБ)
+     * @param {string} name - Имя для проверки
+     * @returns {boolean}
+     */
+    validateName(name) {
+        return this.checkName(name).ok;
+    }
+
+    /**
+     * Проверка номера телефона (разбор в E.164, см. utils/phone.js).
+     * Коды ошибок - ERROR_CODES.phone.
+     * @param {string} phone - Номер телефона
+     * @returns {Object} Результат проверки, value - номер в формате E.164, details: { country, operator }
+     */
+    checkPhone(phone) {
+        const result = parsePhone(phone);
+
+        if (!result.ok) {
+            return invalid(result.code, result.details);
         }
 
-        return false;
+        return valid(result.value, result.details);
+    }
+
+    /**
+     * Валидация номера телефона
+     * @param {string} phone - Номер телефона
+     * @returns {boolean}
+     */
+    validatePhone(phone) {
+        return this.checkPhone(phone).ok;
     }
 
     /**
-     * Нормализация номера телефона
+     * Нормализация номера телефона (некорректный номер возвращается как есть)
      * @param {string} phone - Номер телефона
      * @returns {string}
      */
     normalizePhone(phone) {
-        if (!this.validatePhone(phone)) {
-            return phone;
+        const result = this.checkPhone(phone);
+        return result.ok ? result.value : phone;
+    }
+
+    /**
+     * Разбор возраста из ответа пользователя ("25", "25 років")
+     * @param {string} age - Введенный возраст
+     * @returns {number|null} Возраст или null, если это не число
+     */
+    parseAge(age) {
+        if (!age || typeof age !== 'string') {
+            return null;
         }
 
-        let cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
-        
-        // Приводим к формату +7XXXXXXXXXX
-        if (cleanPhone.startsWith('8')) {
-            cleanPhone = '+38' + cleanPhone.substring(1);
-        } else if (!cleanPhone.startsWith('+38')) {
-            cleanPhone = '+38' + cleanPhone;
+        const match = age.trim().match(this.patterns.age);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Проверка возраста кандидата.
+     * Коды ошибок - ERROR_CODES.age.
+     * @param {string} age - Введенный возраст
+     * @returns {Object} Результат проверки, value - возраст числом
+     */
+    checkAge(age) {
+        const parsed = this.parseAge(age);
+        const { min, max } = this.ageRange;
+
+        if (parsed === null) {
+            return invalid('not_a_number');
         }
 
-        return cleanPhone;
+        if (parsed < min || parsed > max) {
+            return invalid('out_of_range', { min, max });
+        }
+
+        return valid(parsed);
     }
 
     /**
-     * Валидация email адреса
-     * @param {string} email - Email адрес
+     * Валидация возраста
+     * @param {string} age - Введенный возраст
      * @returns {boolean}
      */
-    validateEmail(email) {
-        if (!email || typeof email !== 'string') {
-            return false;
+    validateAge(age) {
+        return this.checkAge(age).ok;
+    }
+
+    /**
+     * Приведение ответа об образовании к каноническому значению
+     * @param {string} education - Ответ пользователя
+     * @returns {string|null} Каноническое значение или null
+     */
+    normalizeEducation(education) {
+        if (!education || typeof education !== 'string') {
+            return null;
         }
 
-        const trimmedEmail = email.trim().toLowerCase();
-        
-        // Базовая проверка формата
-        if (!this.patterns.email.test(trimmedEmail)) {
-            return false;
+        const input = education.trim().toLowerCase().replace(/\s+/g, ' ');
+        // Подпись кнопки принимается на любом языке интерфейса
+        const level = this.educationLevels.find(candidate =>
+            candidate.value === input ||
+            candidate.aliases.includes(input) ||
+            variants(candidate.label).some(label => label.toLowerCase() === input)
+        );
+
+        return level ? level.value : null;
+    }
+
+    /**
+     * Проверка email адреса.
+     * Коды ошибок - ERROR_CODES.email.
+     * @param {string} email - Email адрес
+     * @returns {Object} Результат проверки, value - адрес в нижнем регистре
+     */
+    checkEmail(email) {
+        if (!email || typeof email !== 'string' || !email.trim()) {
+            return invalid('empty');
         }
 
+        const trimmedEmail = email.trim().toLowerCase();
+
         // Проверка длины
         if (trimmedEmail.length > 254) {
-            return false;
+            return invalid('too_long', { max: 254 });
+        }
+
+        // Базовая проверка формата
+        if (!this.patterns.email.test(trimmedEmail)) {
+            return invalid('invalid_format');
         }
 
         // Проверка доменной части
         const domain = trimmedEmail.split('@')[1];
         if (!domain || domain.length > 253) {
-            return false;
+            return invalid('invalid_format');
         }
 
         // Блокировка одноразовых email сервисов
@@ -142,7 +365,7 @@ class ValidationService {
         ];
 
         if (disposableEmailDomains.includes(domain)) {
-            return false;
+            return invalid('disposable', { domain });
         }
 
         // Проверка на подозрительные паттерны
@@ -155,34 +378,74 @@ class ValidationService {
             /no-reply/i
         ];
 
-        return !suspiciousPatterns.some(pattern => pattern.test(trimmedEmail));
+        if (suspiciousPatterns.some(pattern => pattern.test(trimmedEmail))) {
+            return invalid('suspicious');
+        }
+
+        return valid(trimmedEmail);
     }
 
     /**
-     * Валидация сообщения
-     * @param {string} message - Сообщение
+     * Валидация email адреса
+     * @param {string} email - Email адрес
      * @returns {boolean}
      */
-    validateMessage(message) {
+    validateEmail(email) {
+        return this.checkEmail(email).ok;
+    }
+
+    /**
+     * Проверка сообщения.
+     * Коды ошибок - ERROR_CODES.message.
+     * @param {string} message - Сообщение
+     * @returns {Object} Результат проверки
+     */
+    checkMessage(message) {
         if (typeof message !== 'string') {
-            return false;
+            return invalid('not_text');
         }
 
         // Проверка длины
         if (message.length > 1000) {
-            return false;
+            return invalid('too_long', { max: 1000 });
         }
 
         // Проверка на спам
         const spamPatterns = [
-            /(.)\1{10,}/, // Повторяющиеся символы
-            /(https?:\/\/[^\s]+){3,}/, // Множественные ссылки
-            /СКИДКА|АКЦИЯ|СРОЧНО|ВЫГОДА/gi, // Спам слова
-            /<script|javascript:|onclick/i, // Потенциально опасный код
-            /\$\d+|\d+\$|\d+руб/g // Упоминание денег
+            { code: 'repeated_characters', pattern: /(.)\1{10,}/ },
+            { code: 'too_many_links', pattern: /(https?:\/\/[^\s]+){3,}/ },
+            { code: 'spam_words', pattern: /СКИДКА|АКЦИЯ|СРОЧНО|ВЫГОДА/i },
+            { code: 'unsafe_content', pattern: /<script|javascript:|onclick/i }, // Потенциально опасный код
+            { code: 'money', pattern: /\$\d+|\d+\$|\d+руб/ } // Упоминание денег
         ];
 
-        return !spamPatterns.some(pattern => pattern.test(message));
+        const spam = spamPatterns.find(({ pattern }) => pattern.test(message));
+
+        return spam ? invalid(spam.code) : valid(message);
+    }
+
+    /**
+     * Валидация сообщения
+     * @param {string} message - Сообщение
+     * @returns {boolean}
+     */
+    validateMessage(message) {
+        return this.checkMessage(message).ok;
+    }
+
+    /**
+     * Результат проверки для формы: ключ объяснения validation.<kind>.<code>
+     * и его параметры (см. FormEngine)
+     * @param {string} kind - Тип проверки (name, phone, age, email, message)
+     * @param {Object} result - Результат метода check*
+     * @returns {Object}
+     */
+    explain(kind, result) {
+        if (result.ok) {
+            return result;
+        }
+
+        return { ...result, error: `validation.${kind}.${result.code}`, params: result.details };
     }
 
     /**
@@ -239,4 +502,6 @@ class ValidationService {
     }
 }
 
+ValidationService.ERROR_CODES = ERROR_CODES;
+
 module.exports = ValidationService;
\ No newline at end of file
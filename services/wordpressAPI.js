@@ -1,16 +1,18 @@
 const axios = require('axios');
-const crypto = require('crypto');
 const logger = require('../utils/logger');
-const { title } = require('process');
+const { loadFieldMap, mapLead, validateLead } = require('./leadSchema');
+const { createAuthStrategy } = require('./wpAuth');
+const { ALL_COUNTRIES, parsePhone, normalizePhone } = require('../utils/phone');
 
 class WordPressAPI {
     constructor() {
         this.baseURL = process.env.WORDPRESS_URL;
-        this.username = process.env.WP_USERNAME; // WordPress username
-        this.appPassword = process.env.WP_APP_PASSWORD; // Application password
-        // this.apiKey = process.env.WP_API_KEY;
-        // this.apiSecret = process.env.WP_API_SECRET;
+        // Авторизация запросов (WP_AUTH_STRATEGY: app_password, hmac, jwt)
+        this.auth = createAuthStrategy({ baseURL: this.baseURL });
         this.timeout = 10000; // 10 секунд
+
+        // Карта полей анкеты -> полей записи WordPress (см. leadSchema.js)
+        this.fieldMap = loadFieldMap();
         
         // Настройка axios
         this.client = axios.create({
@@ -29,17 +31,10 @@ class WordPressAPI {
     setupInterceptors() {
         // Request interceptor для добавления авторизации
         this.client.interceptors.request.use(
-            (config) => {
-                // Добавляем HMAC подпись для безопасности
-                // const timestamp = Date.now().toString();
-                // const signature = this.generateSignature(config.data, timestamp);
-                
-                // config.headers['X-API-Key'] = this.apiKey;
-                // config.headers['X-Timestamp'] = timestamp;
-                // config.headers['X-Signature'] = signature;
-
-                const credentials = Buffer.from(`${this.username}:${this.appPassword}`).toString('base64');
-                config.headers['Authorization'] = `Basic ${credentials}`;
+            async (config) => {
+                await this.auth.apply(config);
+
+                config.metadata = { startedAt: Date.now() };
 
                 logger.debug(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
                 return config;
@@ -54,9 +49,14 @@ class WordPressAPI {
         this.client.interceptors.response.use(
             (response) => {
                 logger.debug(`API Response: ${response.status} ${response.config.url}`);
+                this.logRequest(response.config, response.status);
                 return response;
             },
             (error) => {
+                if (error.config) {
+                    this.logRequest(error.config, error.response?.status || 'error');
+                }
+
                 if (error.response) {
                     logger.error(`API Error: ${error.response.status} ${error.response.statusText}`);
                     logger.error('Error data:', error.response.data);
@@ -71,114 +71,223 @@ class WordPressAPI {
     }
 
     /**
-     * Генерация HMAC подписи для безопасности
-     * @param {Object} data - Данные запроса
-     * @param {string} timestamp - Временная метка
-     * @returns {string}
+     * Запись запроса в лог API (и метрики задержки WordPress)
+     * @param {Object} config - Конфигурация запроса axios
+     * @param {number|string} status - HTTP статус или 'error' для сетевых ошибок
      */
-    generateSignature(data, timestamp) {
-        const payload = JSON.stringify(data) + timestamp;
-        return crypto
-            .createHmac('sha256', this.apiSecret)
-            .update(payload)
-            .digest('hex');
+    logRequest(config, status) {
+        const duration = config.metadata ? Date.now() - config.metadata.startedAt : null;
+        logger.api(config.method?.toUpperCase(), config.url, status, duration);
     }
 
     /**
-     * Отправка данных пользователя в WordPress
+     * Отправка данных пользователя в WordPress.
+     * Выполняет одну попытку: повторы выполняет Outbox.
      * @param {Object} userData - Данные пользователя
-     * @returns {Promise<Object>}
+     * @param {Object} options - { idempotencyKey }
+     * @returns {Promise<Object>} { success, id, message } или { success: false, error, retryable }
      */
-    async submitUserData(userData) {
-        try {
-            // Подготавливаем данные
-            const payload = {
-                telegram_id: userData.telegram_id,
-                title: userData.name,
-                name: userData.name,
-                phone: userData.phone,
-                email: userData.email,
-                message: userData.message
+    async submitUserData(userData, options = {}) {
+        // Валидация данных перед отправкой
+        if (!this.validateSubmissionData(userData)) {
+            return {
+                success: false,
+                error: 'Invalid submission data',
+                retryable: false
             };
+        }
 
-            // Валидация данных перед отправкой
-            if (!this.validateSubmissionData(payload)) {
-                throw new Error('Invalid submission data');
-            }
+        const payload = this.buildLeadPayload(userData);
+        const result = await this.post('/wp-json/wp/v2/telegram_leads', payload, options);
 
-            const response = await this.client.post('/wp-json/wp/v2/telegram_leads', payload);
+        if (result.success) {
+            logger.info(`Successfully submitted data for telegram user ${userData.telegram_id}`);
+        }
 
-            logger.info(`Response data: ${JSON.stringify(response.data)}`);
-            logger.info(`Response status: ${response.status}`);
+        return result;
+    }
 
-            if (response.status >= 200 && response.status < 300) {
-                logger.info(`Successfully submitted data for telegram user ${userData.telegram_id}`);
-                return {
-                    success: true,
-                    id: response.data.id,
-                    message: response.data.message || 'Data submitted successfully'
-                };
-            } else {
-                throw new Error(response.data?.error || 'Unknown error from WordPress');
-            }
+    /**
+     * Подготовка данных анкеты к отправке по карте полей
+     * @param {Object} userData - Данные пользователя из сессии
+     * @returns {Object}
+     */
+    buildLeadPayload(userData) {
+        // Телефон всегда уходит в E.164, даже если заявка сохранена старой версией бота
+        return mapLead({ ...userData, phone: normalizePhone(userData.phone) }, this.fieldMap);
+    }
 
-        } catch (error) {
-            logger.error(`Error submitting data to WordPress: ${error.message}`);
-            
-            // Попытка повторной отправки через некоторое время
-            if (error.code === 'ECONNABORTED' || error.response?.status >= 500) {
-                logger.info('Attempting retry...');
-                return await this.retrySubmission(userData, 1);
-            }
+    /**
+     * Отправка скарги в WordPress
+     * @param {Object} complaintData - Данные скарги
+     * @param {Object} options - { idempotencyKey }
+     * @returns {Promise<Object>} { success, id, message } или { success: false, error, retryable }
+     */
+    async submitComplaint(complaintData, options = {}) {
+        const payload = this.buildComplaintPayload(complaintData);
 
+        if (!this.validateComplaintData(payload)) {
             return {
                 success: false,
-                error: error.message
+                error: 'Invalid complaint data',
+                retryable: false
             };
         }
+
+        const result = await this.post('/wp-json/telegram-bot/v1/complaints', payload, options);
+
+        if (result.success) {
+            logger.info(`Successfully submitted complaint${payload.anonymous ? ' (anonymous)' : ` for telegram user ${payload.telegram_id}`}, ID: ${result.id}`);
+        }
+
+        return result;
     }
 
     /**
-     * Повторная попытка отправки данных
-     * @param {Object} userData - Данные пользователя
-     * @param {number} attempt - Номер попытки
+     * Подготовка данных скарги к отправке.
+     * Для анонимных скарг удаляются все идентификаторы пользователя Telegram.
+     * @param {Object} complaintData - Данные скарги из сессии
+     * @returns {Object}
+     */
+    buildComplaintPayload(complaintData) {
+        const anonymous = this.isAnonymousName(complaintData.name);
+        const payload = {
+            type: 'complaint',
+            anonymous,
+            title: anonymous ? 'Анонімна скарга' : `Скарга: ${complaintData.name}`,
+            name: anonymous ? 'Анонім' : complaintData.name,
+            complaint_text: complaintData.complaint_text,
+            submitted_at: complaintData.submitted_at || new Date().toISOString()
+        };
+
+        if (!anonymous) {
+            payload.telegram_id = complaintData.telegram_id;
+            payload.username = complaintData.username || null;
+            payload.first_name = complaintData.first_name || null;
+            payload.last_name = complaintData.last_name || null;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Проверка, запросил ли пользователь анонимность
+     * @param {string} name - Введенное имя
+     * @returns {boolean}
+     */
+    isAnonymousName(name) {
+        if (!name || typeof name !== 'string') {
+            return true;
+        }
+
+        return /^(анонім|аноним|анонімно|анонимно|anonymous)$/i.test(name.trim());
+    }
+
+    /**
+     * Валидация скарги перед отправкой
+     * @param {Object} data - Данные для валидации
+     * @returns {boolean}
+     */
+    validateComplaintData(data) {
+        const text = data.complaint_text;
+
+        if (!text || typeof text !== 'string') {
+            logger.error('Missing required field: complaint_text');
+            return false;
+        }
+
+        if (text.length < 10 || text.length > 2000) {
+            logger.error(`Invalid complaint length: ${text.length}`);
+            return false;
+        }
+
+        if (!data.anonymous && (!data.telegram_id || !data.name)) {
+            logger.error('Non-anonymous complaint without telegram_id or name');
+            return false;
+        }
+
+        if (data.anonymous && data.telegram_id) {
+            logger.error('Anonymous complaint must not contain telegram_id');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Отправка POST запроса с ключом идемпотентности.
+     * Ключ передается и заголовком, и в теле, чтобы WordPress мог отбросить дубликаты;
+     * ответ 409 означает, что заявка с этим ключом уже сохранена.
+     * @param {string} url - Путь REST API
+     * @param {Object} payload - Тело запроса
+     * @param {Object} options - { idempotencyKey }
      * @returns {Promise<Object>}
      */
-    async retrySubmission(userData, attempt) {
-        const maxRetries = 3;
-        const delay = attempt * 2000; // Увеличиваем задержку с каждой попыткой
+    async post(url, payload, options = {}) {
+        const config = {};
+        const body = { ...payload };
+
+        if (options.idempotencyKey) {
+            config.headers = { 'Idempotency-Key': options.idempotencyKey };
+            body.idempotency_key = options.idempotencyKey;
+        }
+
+        try {
+            const response = await this.client.post(url, body, config);
+
+            return {
+                success: true,
+                id: response.data?.id || null,
+                message: response.data?.message || 'Data submitted successfully'
+            };
+        } catch (error) {
+            if (error.response?.status === 409 && options.idempotencyKey) {
+                const data = error.response.data || {};
+                logger.info(`Duplicate submission ${options.idempotencyKey} ignored by WordPress`);
+
+                return {
+                    success: true,
+                    duplicate: true,
+                    id: data.id || data.data?.id || null,
+                    message: 'Already submitted'
+                };
+            }
+
+            logger.error(`Error posting to ${url}: ${error.message}`);
 
-        if (attempt > maxRetries) {
-            logger.error(`Max retries (${maxRetries}) exceeded for user ${userData.telegram_id}`);
             return {
                 success: false,
-                error: 'Max retries exceeded'
+                error: error.response?.data?.message || error.message,
+                retryable: this.isRetryableError(error)
             };
         }
+    }
 
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        try {
-            logger.info(`Retry attempt ${attempt} for user ${userData.telegram_id}`);
-            return await this.submitUserData(userData);
-        } catch (error) {
-            return await this.retrySubmission(userData, attempt + 1);
+    /**
+     * Можно ли повторить запрос после ошибки (таймаут, сеть, 5xx)
+     * @param {Error} error - Ошибка axios
+     * @returns {boolean}
+     */
+    isRetryableError(error) {
+        if (!error.response) {
+            return true;
         }
+
+        return error.response.status >= 500 || error.response.status === 429;
     }
 
     /**
-     * Валидация данных перед отправкой
-     * @param {Object} data - Данные для валидации
+     * Валидация данных анкеты перед отправкой
+     * @param {Object} data - Данные анкеты (до преобразования по карте полей)
      * @returns {boolean}
      */
     validateSubmissionData(data) {
-        const requiredFields = ['telegram_id', 'title', 'phone'];
-        
-        for (const field of requiredFields) {
-            if (!data[field]) {
-                logger.error(`Missing required field: ${field}`);
-                return false;
-            }
+        // Проверка по схеме: обязательные поля, типы, длина
+        const errors = validateLead(data);
+
+        if (errors.length > 0) {
+            errors.forEach(error => logger.error(error));
+            return false;
         }
 
         // Проверка email если присутствует
@@ -208,13 +317,14 @@ class WordPressAPI {
     }
 
     /**
-     * Проверка корректности телефона
+     * Проверка корректности телефона (формат по правилам utils/phone.js).
+     * Список разрешенных стран проверяется при вводе, а не при отправке:
+     * иначе сужение PHONE_ALLOWED_COUNTRIES сделало бы заявки из очереди неотправляемыми.
      * @param {string} phone - Номер телефона
      * @returns {boolean}
      */
     isValidPhone(phone) {
-        const phoneRegex = /^(\+380|0)\d{9}$/;
-        return phoneRegex.test(phone);
+        return parsePhone(phone, ALL_COUNTRIES).ok;
     }
 
     /**
@@ -239,6 +349,36 @@ class WordPressAPI {
         }
     }
 
+    /**
+     * Изменение статуса заявки
+     * @param {string} type - lead или complaint
+     * @param {number|string} submissionId - ID заявки
+     * @param {string} status - Новый статус (in_progress, called, rejected)
+     * @param {Object} author - Кто изменил статус ({ telegramId, name })
+     * @returns {Promise<Object>}
+     */
+    async updateSubmissionStatus(type, submissionId, status, author = {}) {
+        try {
+            const response = await this.client.post(`/wp-json/telegram-bot/v1/status/${submissionId}`, {
+                type,
+                status,
+                updated_by: author.name || null,
+                updated_by_telegram_id: author.telegramId || null
+            });
+
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            logger.error('Error updating submission status:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Получение истории заявок пользователя
      * @param {number} telegramId - Telegram ID пользователя
@@ -261,6 +401,55 @@ class WordPressAPI {
         }
     }
 
+    /**
+     * Получение каталога вакансий
+     * @returns {Promise<Object>} { success, data: [{ id, title, description, requirements, link }] }
+     */
+    async getVacancies() {
+        try {
+            const response = await this.client.get('/wp-json/telegram-bot/v1/vacancies');
+            const items = Array.isArray(response.data) ? response.data : (response.data?.vacancies || []);
+
+            return {
+                success: true,
+                data: items.map(item => ({
+                    id: item.id,
+                    title: item.title?.rendered || item.title,
+                    description: item.description || '',
+                    requirements: item.requirements || '',
+                    link: item.link || null
+                }))
+            };
+        } catch (error) {
+            logger.error('Error getting vacancies:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Получение информационных страниц бота
+     * @returns {Promise<Object>} { success, data: [{ slug, title, body, version, order, published, valid_from, valid_until }] }
+     */
+    async getContentPages() {
+        try {
+            const response = await this.client.get('/wp-json/telegram-bot/v1/pages');
+
+            return {
+                success: true,
+                data: Array.isArray(response.data) ? response.data : (response.data?.pages || [])
+            };
+        } catch (error) {
+            logger.error('Error getting content pages:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Отправка уведомления в WordPress о новой активности
      * @param {Object} eventData - Данные события
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Стратегии авторизации запросов к WordPress REST API.
+ * Стратегия выбирается переменной WP_AUTH_STRATEGY и добавляет
+ * нужные заголовки в каждый запрос axios (метод apply).
+ */
+
+/**
+ * Application Password WordPress (Basic auth)
+ */
+class AppPasswordAuth {
+    static requiredEnv = ['WP_USERNAME', 'WP_APP_PASSWORD'];
+
+    constructor() {
+        this.credentials = Buffer.from(`${process.env.WP_USERNAME}:${process.env.WP_APP_PASSWORD}`).toString('base64');
+    }
+
+    async apply(config) {
+        config.headers['Authorization'] = `Basic ${this.credentials}`;
+        return config;
+    }
+}
+
+/**
+ * Подпись запросов HMAC-SHA256.
+ *
+ * Подписывается строка "METHOD\npath\ntimestamp\nnonce\nbody", где path - полный путь
+ * запроса от корня сайта вместе с путем из WORDPRESS_URL (https://site/wp -> /wp/wp-json/...)
+ * и строкой запроса. WordPress должен
+ * отклонять запросы с X-Timestamp старше допустимого окна и повторно
+ * использованным X-Nonce - так перехваченный запрос нельзя отправить повторно.
+ * Каждая попытка (в том числе повтор из outbox) подписывается заново.
+ */
+class HmacAuth {
+    static requiredEnv = ['WP_API_KEY', 'WP_API_SECRET'];
+
+    constructor() {
+        this.apiKey = process.env.WP_API_KEY;
+        this.apiSecret = process.env.WP_API_SECRET;
+    }
+
+    /**
+     * Генерация HMAC подписи
+     * @param {string} method - HTTP метод
+     * @param {string} path - Путь запроса
+     * @param {string} timestamp - Unix время в секундах
+     * @param {string} nonce - Одноразовое значение
+     * @param {string} body - Тело запроса
+     * @returns {string}
+     */
+    generateSignature(method, path, timestamp, nonce, body) {
+        return crypto
+            .createHmac('sha256', this.apiSecret)
+            .update([method, path, timestamp, nonce, body].join('\n'))
+            .digest('hex');
+    }
+
+    /**
+     * Полный путь запроса: путь из baseURL, url и параметры запроса
+     * @param {Object} config - Конфигурация запроса axios
+     * @returns {string}
+     */
+    getRequestPath(config) {
+        const url = new URL(axios.getUri(config), 'http://localhost');
+        return url.pathname + url.search;
+    }
+
+    async apply(config) {
+        const method = (config.method || 'get').toUpperCase();
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const nonce = crypto.randomBytes(16).toString('hex');
+
+        // Сериализуем тело сами, чтобы подпись совпадала с отправленными байтами
+        if (config.data !== undefined && typeof config.data !== 'string') {
+            config.data = JSON.stringify(config.data);
+        }
+
+        config.headers['X-API-Key'] = this.apiKey;
+        config.headers['X-Timestamp'] = timestamp;
+        config.headers['X-Nonce'] = nonce;
+        config.headers['X-Signature'] = this.generateSignature(
+            method,
+            this.getRequestPath(config),
+            timestamp,
+            nonce,
+            config.data || ''
+        );
+
+        return config;
+    }
+}
+
+/**
+ * JWT Bearer токен. Используется WP_JWT_TOKEN или токен, полученный
+ * по WP_USERNAME/WP_PASSWORD через плагин JWT Authentication (обновляется до истечения).
+ */
+class JwtAuth {
+    static requiredEnv = ['WP_JWT_TOKEN|WP_USERNAME+WP_PASSWORD'];
+
+    constructor({ baseURL }) {
+        this.baseURL = baseURL;
+        this.tokenPath = process.env.WP_JWT_TOKEN_PATH || '/wp-json/jwt-auth/v1/token';
+        this.token = process.env.WP_JWT_TOKEN || null;
+        this.expiresAt = this.token ? this.getExpiry(this.token) : 0;
+        this.refreshing = null;
+    }
+
+    /**
+     * Время истечения токена из поля exp
+     * @param {string} token - JWT
+     * @returns {number} Unix время в миллисекундах (Infinity, если exp нет)
+     */
+    getExpiry(token) {
+        try {
+            const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+            return payload.exp ? payload.exp * 1000 : Infinity;
+        } catch (error) {
+            return Infinity;
+        }
+    }
+
+    async getToken() {
+        // Статический токен из окружения не обновляем
+        if (process.env.WP_JWT_TOKEN) {
+            return this.token;
+        }
+
+        // Обновляем за минуту до истечения
+        if (this.token && Date.now() < this.expiresAt - 60 * 1000) {
+            return this.token;
+        }
+
+        if (!this.refreshing) {
+            this.refreshing = this.fetchToken().finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        return await this.refreshing;
+    }
+
+    async fetchToken() {
+        const response = await axios.post(`${this.baseURL}${this.tokenPath}`, {
+            username: process.env.WP_USERNAME,
+            password: process.env.WP_PASSWORD
+        }, { timeout: 10000 });
+
+        this.token = response.data?.token || response.data?.data?.token;
+
+        if (!this.token) {
+            throw new Error('JWT token missing in WordPress response');
+        }
+
+        this.expiresAt = this.getExpiry(this.token);
+        logger.info('WordPress JWT token refreshed');
+
+        return this.token;
+    }
+
+    async apply(config) {
+        config.headers['Authorization'] = `Bearer ${await this.getToken()}`;
+        return config;
+    }
+}
+
+const AUTH_STRATEGIES = {
+    app_password: AppPasswordAuth,
+    hmac: HmacAuth,
+    jwt: JwtAuth
+};
+
+/**
+ * Название выбранной стратегии
+ * @returns {string}
+ */
+function getAuthStrategyName() {
+    return process.env.WP_AUTH_STRATEGY || 'app_password';
+}
+
+/**
+ * Переменные окружения, которых не хватает выбранной стратегии.
+ * Альтернативы записываются через "|", обязательные вместе - через "+".
+ * @param {string} name - Название стратегии
+ * @returns {Array<string>}
+ */
+function getMissingAuthEnv(name = getAuthStrategyName()) {
+    const Strategy = AUTH_STRATEGIES[name];
+
+    if (!Strategy) {
+        return [`WP_AUTH_STRATEGY (unknown strategy "${name}", expected ${Object.keys(AUTH_STRATEGIES).join(', ')})`];
+    }
+
+    return Strategy.requiredEnv.filter(requirement =>
+        !requirement.split('|').some(option => option.split('+').every(varName => process.env[varName]))
+    );
+}
+
+/**
+ * Создание стратегии авторизации по WP_AUTH_STRATEGY
+ * @param {Object} options - { baseURL }
+ * @returns {Object}
+ */
+function createAuthStrategy(options = {}) {
+    const name = getAuthStrategyName();
+    const Strategy = AUTH_STRATEGIES[name];
+
+    if (!Strategy) {
+        throw new Error(`Unknown WP_AUTH_STRATEGY: ${name}`);
+    }
+
+    logger.info(`Using WordPress auth strategy: ${name}`);
+    return new Strategy(options);
+}
+
+module.exports = {
+    createAuthStrategy,
+    getMissingAuthEnv,
+    AppPasswordAuth,
+    HmacAuth,
+    JwtAuth
+};
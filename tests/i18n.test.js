@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { LOCALES, DEFAULT_LOCALE, t, resolveLocale, variants } = require('../utils/i18n');
+const forms = require('../forms');
+const ValidationService = require('../services/validationService');
+
+const readSource = (file) => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+// Имена параметров вида {name} в шаблоне
+const placeholders = (template) => (template.match(/\{(\w+)\}/g) || []).sort();
+
+// Ключи локализации, на которые ссылаются описания форм
+const formKeys = () => forms.flatMap(form => [
+    form.title,
+    ...form.fields.flatMap(field => [
+        typeof field.prompt === 'string' ? field.prompt : null,
+        field.label,
+        field.skipText,
+        ...(Array.isArray(field.keyboard) ? field.keyboard.flat() : [])
+    ])
+]).filter(Boolean);
+
+// Ключи validation.<тип>.<code>, которые выдает ValidationService.explain()
+const validationKeys = () => Object.entries(ValidationService.ERROR_CODES).flatMap(([kind, codes]) =>
+    codes.map(code => `validation.${kind}.${code}`)
+);
+
+// Ключи, переданные строкой в ctx.t('...') и t(locale, '...')
+const sourceKeys = (files) => files.flatMap(file =>
+    [...readSource(file).matchAll(/\bt\((?:[\w.]+,\s*)?'([\w.]+)'/g)].map(match => match[1])
+);
+
+describe('i18n', () => {
+    const locales = Object.keys(LOCALES);
+    const allKeys = [...new Set(locales.flatMap(locale => Object.keys(LOCALES[locale])))];
+
+    test.each(locales)('locale %s contains every key', (locale) => {
+        const missing = allKeys.filter(key => typeof LOCALES[locale][key] !== 'string');
+        expect(missing).toEqual([]);
+    });
+
+    test.each(locales)('locale %s uses the same placeholders as the default locale', (locale) => {
+        const mismatched = Object.keys(LOCALES[DEFAULT_LOCALE]).filter(key =>
+            placeholders(LOCALES[locale][key] || '').join() !== placeholders(LOCALES[DEFAULT_LOCALE][key]).join()
+        );
+        expect(mismatched).toEqual([]);
+    });
+
+    test('forms reference existing keys', () => {
+        const missing = formKeys().filter(key => !(key in LOCALES[DEFAULT_LOCALE]));
+        expect(missing).toEqual([]);
+    });
+
+    test('validation results reference existing keys', () => {
+        const keys = validationKeys();
+        expect(keys).toEqual(expect.arrayContaining(['validation.name.suspicious', 'validation.phone.unknown_operator']));
+        expect(keys.filter(key => !(key in LOCALES[DEFAULT_LOCALE]))).toEqual([]);
+    });
+
+    test('code references existing keys', () => {
+        const files = [
+            'bot.js',
+            ...['controllers', 'services'].flatMap(dir => fs.readdirSync(path.join(__dirname, '..', dir)).map(file => `${dir}/${file}`))
+        ];
+        const keys = sourceKeys(files);
+
+        expect(keys).toEqual(expect.arrayContaining(['menu.welcome', 'admin.stats.text']));
+        expect(keys.filter(key => !(key in LOCALES[DEFAULT_LOCALE]))).toEqual([]);
+    });
+
+    test('substitutes parameters and falls back to the key', () => {
+        expect(t('en', 'status.not_found', { id: 42 })).toContain('#42');
+        expect(t('en', 'no.such.key')).toBe('no.such.key');
+    });
+
+    test('resolves Telegram language codes', () => {
+        expect(resolveLocale('en-US')).toBe('en');
+        expect(resolveLocale('uk')).toBe('uk');
+        expect(resolveLocale('de')).toBe(DEFAULT_LOCALE);
+        expect(resolveLocale(undefined)).toBe(DEFAULT_LOCALE);
+    });
+
+    test('button variants cover every locale', () => {
+        expect(variants('button.cancel')).toEqual(locales.map(locale => LOCALES[locale]['button.cancel']));
+    });
+});
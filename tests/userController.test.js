@@ -0,0 +1,52 @@
+const UserController = require('../controllers/userController');
+const { FileUserStore } = require('../services/userStore');
+
+jest.mock('../utils/logger');
+
+describe('UserController.calculateRiskScore', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let controller;
+
+    // Обычный заход: анкета с одной ошибкой ввода и отправкой
+    const session = (userId) => {
+        for (const action of ['start', 'validation_failed', 'submit_attempt']) {
+            controller.updateActivity(userId, action);
+        }
+    };
+
+    const riskScore = (userId) => controller.calculateRiskScore(controller.getUserStats(userId));
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-01-01T10:00:00Z') });
+        controller = new UserController({ store: new FileUserStore({ filePath: null }) });
+    });
+
+    afterEach(async () => {
+        await controller.close();
+        jest.useRealTimers();
+    });
+
+    test('long-lived user scores like a new one', () => {
+        for (let i = 0; i < 90; i++) {
+            session(1);
+            jest.setSystemTime(Date.now() + day);
+        }
+        session(1);
+        session(2);
+
+        const stats = controller.getUserStats(1);
+        expect(stats.actions.start).toBeGreaterThan(10);
+        expect(stats.actions.submit_attempt).toBeGreaterThan(5);
+        expect(riskScore(1)).toBe(riskScore(2));
+        expect(riskScore(1)).toBeLessThan(70);
+    });
+
+    test('scores a burst of actions within the window', () => {
+        for (let i = 0; i < 12; i++) {
+            controller.updateActivity(1, 'start');
+            controller.updateActivity(1, 'submit_attempt');
+        }
+
+        expect(riskScore(1)).toBeGreaterThanOrEqual(70);
+    });
+});
@@ -0,0 +1,54 @@
+const ValidationService = require('../services/validationService');
+
+describe('ValidationService.checkName', () => {
+    const validationService = new ValidationService();
+
+    test.each([
+        ['Тестоедов Іван', 'Тестоедов Іван'],
+        ['Спамер Іван', 'Спамер Іван'],
+        ['Садмінов Ігор', 'Садмінов Ігор'],
+        ['Дмитро Фейкович', 'Дмитро Фейкович'],
+        ['Шевченко Тарас Григорович', 'Шевченко Тарас Григорович']
+    ])('accepts real name %s', (input, expected) => {
+        const result = validationService.checkName(input);
+        expect(result.ok).toBe(true);
+        expect(result.value).toBe(expected);
+    });
+
+    test.each([
+        'Test Іван',
+        'Адмін Адмін',
+        'Іван Спам',
+        'Qwerty Asdf',
+        'Іваааан Петренко'
+    ])('rejects made-up name %s', (input) => {
+        expect(validationService.checkName(input).code).toBe('suspicious');
+    });
+
+    test('capitalizes Latin name parts after an apostrophe', () => {
+        expect(validationService.checkName("o'brien sean").value).toBe("O'Brien Sean");
+    });
+
+    test('keeps Ukrainian apostrophe inside a word', () => {
+        expect(validationService.checkName("ДЕМ'ЯН квітка-основ'яненко").value).toBe("Дем'ян Квітка-Основ'яненко");
+    });
+});
+
+describe('ValidationService.ERROR_CODES', () => {
+    const validationService = new ValidationService();
+
+    // Объяснения в locales/ проверяются по таблице кодов, поэтому каждый код результата должен в ней быть
+    test.each([
+        ['name', ['', 'Іван', 'Іван 2 Петренко', 'Іvan Петренко', 'Test Іван', 'А Б В Г']],
+        ['phone', ['', 'abc', '+99912345678', '+380201234567', '+38050']],
+        ['age', ['abc', '150']],
+        ['email', ['', 'not-an-email', 'user@mailinator.com']],
+        ['message', [42, 'a'.repeat(1001), 'СКИДКА', '<script>', '100$']]
+    ])('%s results use listed codes', (kind, inputs) => {
+        const check = `check${kind.charAt(0).toUpperCase()}${kind.slice(1)}`;
+        const codes = inputs.map(input => validationService[check](input).code);
+
+        expect(codes).not.toContain(null);
+        expect(ValidationService.ERROR_CODES[kind]).toEqual(expect.arrayContaining(codes));
+    });
+});
@@ -0,0 +1,47 @@
+const { HmacAuth } = require('../services/wpAuth');
+
+describe('HmacAuth', () => {
+    let auth;
+
+    beforeEach(() => {
+        process.env.WP_API_KEY = 'key';
+        process.env.WP_API_SECRET = 'secret';
+        auth = new HmacAuth();
+    });
+
+    // Подпись, которую должен получить WordPress для этого запроса
+    const expectedSignature = (config, method, path) => auth.generateSignature(
+        method,
+        path,
+        config.headers['X-Timestamp'],
+        config.headers['X-Nonce'],
+        config.data
+    );
+
+    test('signs the path relative to the site root', async () => {
+        const config = await auth.apply({
+            method: 'post',
+            baseURL: 'https://example.com',
+            url: '/wp-json/wp/v2/telegram_leads',
+            headers: {},
+            data: { name: 'Шевченко Тарас' }
+        });
+
+        expect(config.data).toBe(JSON.stringify({ name: 'Шевченко Тарас' }));
+        expect(config.headers['X-Signature']).toBe(expectedSignature(config, 'POST', '/wp-json/wp/v2/telegram_leads'));
+    });
+
+    test('includes the subpath of a WordPress installed in a folder', async () => {
+        const config = await auth.apply({
+            method: 'get',
+            baseURL: 'https://example.com/wp/',
+            url: '/wp-json/telegram-bot/v1/vacancies',
+            params: { lang: 'uk' },
+            headers: {}
+        });
+
+        expect(config.headers['X-Signature']).toBe(
+            expectedSignature(config, 'GET', '/wp/wp-json/telegram-bot/v1/vacancies?lang=uk')
+        );
+    });
+});
@@ -0,0 +1,19 @@
+/**
+ * Разбор списка ID из переменной окружения ("123, -100456")
+ * @param {string} value - Значение переменной
+ * @returns {Array<string>}
+ */
+function parseIdList(value) {
+    if (!value) {
+        return [];
+    }
+
+    return value
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => /^-?\d+$/.test(id));
+}
+
+module.exports = {
+    parseIdList
+};
@@ -0,0 +1,138 @@
+const { t, DEFAULT_LOCALE } = require('./i18n');
+
+// Ключи подписей статусов заявок, которые возвращает WordPress (см. locales/)
+const SUBMISSION_STATUS_KEYS = {
+    new: 'submission.status.new',
+    pending: 'submission.status.new',
+    in_progress: 'submission.status.in_progress',
+    called: 'submission.status.called',
+    rejected: 'submission.status.rejected',
+    done: 'submission.status.done',
+    closed: 'submission.status.done'
+};
+
+const SUBMISSION_TYPE_KEYS = {
+    lead: 'submission.type.lead',
+    complaint: 'submission.type.complaint'
+};
+
+/**
+ * Экранирование текста для сообщений с parse_mode: 'HTML'
+ * @param {*} text - Исходный текст
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Именованные HTML-сущности, которые встречаются в текстах WordPress
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    laquo: '«', raquo: '»', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+/**
+ * Декодирование числовой HTML-сущности; недопустимый код оставляется как есть
+ * @param {string} match - Исходная сущность
+ * @param {number} code - Код символа
+ * @returns {string}
+ */
+function decodeCodePoint(match, code) {
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+}
+
+/**
+ * Преобразование HTML из WordPress (content.rendered, title.rendered) в простой текст:
+ * абзацы и переносы строк сохраняются, пункты списков получают "•", теги удаляются,
+ * HTML-сущности декодируются. Простой текст возвращается без изменений.
+ * @param {string} html - Исходный HTML
+ * @returns {string}
+ */
+function htmlToText(html) {
+    let text = String(html ?? '');
+
+    // В HTML переносы строк в разметке не значимы, значимы только теги
+    if (/<\/?[a-z][^>]*>/i.test(text)) {
+        text = text.replace(/\s+/g, ' ');
+    }
+
+    return text
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '• ')
+        .replace(/<\/li>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|blockquote)>/gi, '\n\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&#(\d+);/g, (match, code) => decodeCodePoint(match, parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => decodeCodePoint(match, parseInt(code, 16)))
+        .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match)
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Разбиение длинного текста на части, не превышающие лимит Telegram.
+ * Разрезает по абзацам, затем по строкам, затем по словам.
+ * @param {string} text - Исходный текст
+ * @param {number} limit - Максимальная длина части
+ * @returns {Array<string>}
+ */
+function splitMessage(text, limit = 4096) {
+    const chunks = [];
+    let rest = text.trim();
+
+    while (rest.length > limit) {
+        const window = rest.slice(0, limit);
+        let cut = window.lastIndexOf('\n\n');
+
+        if (cut < limit / 2) cut = window.lastIndexOf('\n');
+        if (cut < limit / 2) cut = window.lastIndexOf(' ');
+        if (cut <= 0) cut = limit;
+
+        chunks.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+
+    if (rest.length > 0) {
+        chunks.push(rest);
+    }
+
+    return chunks;
+}
+
+/**
+ * Подпись типа заявки
+ * @param {string} type - lead или complaint
+ * @param {string} locale - Язык подписи
+ * @returns {string}
+ */
+function formatSubmissionType(type, locale = DEFAULT_LOCALE) {
+    return t(locale, SUBMISSION_TYPE_KEYS[type] || SUBMISSION_TYPE_KEYS.lead);
+}
+
+/**
+ * Подпись статуса заявки
+ * @param {string} status - Статус из WordPress
+ * @param {string} locale - Язык подписи
+ * @returns {string}
+ */
+function formatSubmissionStatus(status, locale = DEFAULT_LOCALE) {
+    if (SUBMISSION_STATUS_KEYS[status]) {
+        return t(locale, SUBMISSION_STATUS_KEYS[status]);
+    }
+
+    return `❔ ${status || t(locale, 'submission.status.unknown')}`;
+}
+
+module.exports = {
+    SUBMISSION_STATUS_KEYS,
+    escapeHtml,
+    htmlToText,
+    splitMessage,
+    formatSubmissionType,
+    formatSubmissionStatus
+};
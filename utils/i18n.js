@@ -0,0 +1,60 @@
+/**
+ * Локализация сообщений бота.
+ *
+ * Каталоги лежат в папке locales/ - плоские объекты вида { 'menu.fill_form': 'текст' }.
+ * Параметры подставляются в фигурные скобки: t('uk', 'status.not_found', { id: 5 }).
+ * Если ключа нет в выбранном языке, используется язык по умолчанию.
+ */
+const LOCALES = {
+    uk: require('../locales/uk'),
+    en: require('../locales/en')
+};
+
+const DEFAULT_LOCALE = LOCALES[process.env.DEFAULT_LOCALE] ? process.env.DEFAULT_LOCALE : 'uk';
+
+/**
+ * Перевод ключа
+ * @param {string} locale - Код языка (uk, en)
+ * @param {string} key - Ключ сообщения
+ * @param {Object} params - Значения для подстановки
+ * @returns {string}
+ */
+function t(locale, key, params = {}) {
+    const catalog = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+    const template = catalog[key] ?? LOCALES[DEFAULT_LOCALE][key];
+
+    if (template === undefined) {
+        return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] === undefined || params[name] === null ? match : String(params[name])
+    );
+}
+
+/**
+ * Выбор поддерживаемого языка по language_code из Telegram ("en", "en-US")
+ * @param {string} languageCode - Код языка пользователя
+ * @returns {string}
+ */
+function resolveLocale(languageCode) {
+    const primary = String(languageCode || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES[primary] ? primary : DEFAULT_LOCALE;
+}
+
+/**
+ * Текст ключа на всех языках - для сопоставления нажатых кнопок (bot.hears)
+ * @param {string} key - Ключ сообщения
+ * @returns {Array<string>}
+ */
+function variants(key) {
+    return [...new Set(Object.keys(LOCALES).map(locale => t(locale, key)))];
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    t,
+    resolveLocale,
+    variants
+};
@@ -1,6 +1,7 @@
 const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
+const metrics = require('./metrics');
 
 // Создаем директорию для логов если её нет
 const fs = require('fs');
@@ -95,8 +96,19 @@ if (process.env.NODE_ENV !== 'production') {
     }));
 }
 
+// Действия пользователей, которые учитываются в метриках
+const ACTION_METRICS = {
+    form_started: (data) => metrics.increment('bot_form_starts_total', { form: data.form }),
+    form_completed: (data) => metrics.increment('bot_form_completions_total', { form: data.form }),
+    validation_failed: (data) => metrics.increment('bot_validation_failures_total', { form: data.form, field: data.field, code: data.code })
+};
+
 // Добавляем методы для специфичных типов логирования
 logger.telegram = (userId, action, data = {}) => {
+    if (ACTION_METRICS[action]) {
+        ACTION_METRICS[action](data);
+    }
+
     logger.info('Telegram Activity', {
         userId,
         action,
@@ -106,6 +118,11 @@ logger.telegram = (userId, action, data = {}) => {
 };
 
 logger.api = (method, url, status, duration = null) => {
+    metrics.increment('api_requests_total', { method, status });
+    if (duration !== null) {
+        metrics.observe('api_request_duration_seconds', duration / 1000, { method });
+    }
+
     logger.info('API Call', {
         method,
         url,
@@ -126,6 +143,7 @@ logger.security = (event, userId, details = {}) => {
 
 logger.performance = (operation, duration, details = {}) => {
     const level = duration > 1000 ? 'warn' : 'info';
+    metrics.observe('operation_duration_seconds', duration / 1000, { operation });
     logger.log(level, 'Performance', {
         operation,
         duration,
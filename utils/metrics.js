@@ -0,0 +1,142 @@
+/**
+ * Метрики бота в формате Prometheus (text exposition format 0.0.4).
+ * Счетчики и гистограммы наполняются хуками логгера (logger.api,
+ * logger.performance, logger.telegram) и middleware бота.
+ */
+
+// Описание метрик: имя -> тип и описание для # HELP
+const DEFINITIONS = {
+    bot_messages_total: { type: 'counter', help: 'Updates received from Telegram' },
+    bot_errors_total: { type: 'counter', help: 'Errors while handling updates' },
+    bot_form_starts_total: { type: 'counter', help: 'Forms started by users' },
+    bot_form_completions_total: { type: 'counter', help: 'Forms completed by users' },
+    bot_validation_failures_total: { type: 'counter', help: 'Rejected form answers' },
+    api_requests_total: { type: 'counter', help: 'WordPress API requests by method and status' },
+    api_request_duration_seconds: { type: 'histogram', help: 'WordPress API request latency' },
+    operation_duration_seconds: { type: 'histogram', help: 'Duration of measured operations' },
+    outbox_pending: { type: 'gauge', help: 'Submissions waiting for delivery' },
+    process_uptime_seconds: { type: 'gauge', help: 'Process uptime' }
+};
+
+const BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Сериализация меток: { a: 'x' } -> {a="x"}
+ * @param {Object} labels - Метки
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+
+    if (entries.length === 0) {
+        return '';
+    }
+
+    return '{' + entries
+        .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+        .join(',') + '}';
+}
+
+class Metrics {
+    constructor() {
+        this.values = new Map(); // name -> Map(labelsKey -> { labels, value | buckets, sum, count })
+        this.gauges = new Map(); // name -> () => number
+        this.gauge('process_uptime_seconds', () => Math.round(process.uptime()));
+    }
+
+    series(name, labels) {
+        if (!DEFINITIONS[name]) {
+            throw new Error(`Unknown metric: ${name}`);
+        }
+
+        if (!this.values.has(name)) {
+            this.values.set(name, new Map());
+        }
+
+        const key = formatLabels(labels);
+        const byLabels = this.values.get(name);
+
+        if (!byLabels.has(key)) {
+            byLabels.set(key, DEFINITIONS[name].type === 'histogram'
+                ? { labels, buckets: BUCKETS.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+
+        return byLabels.get(key);
+    }
+
+    /**
+     * Увеличение счетчика
+     * @param {string} name - Имя метрики
+     * @param {Object} labels - Метки
+     * @param {number} value - Шаг
+     */
+    increment(name, labels = {}, value = 1) {
+        this.series(name, labels).value += value;
+    }
+
+    /**
+     * Запись значения в гистограмму
+     * @param {string} name - Имя метрики
+     * @param {number} seconds - Значение в секундах
+     * @param {Object} labels - Метки
+     */
+    observe(name, seconds, labels = {}) {
+        const series = this.series(name, labels);
+
+        BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) series.buckets[index]++;
+        });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    /**
+     * Регистрация gauge, значение которого вычисляется при выгрузке
+     * @param {string} name - Имя метрики
+     * @param {Function} collect - () => number
+     */
+    gauge(name, collect) {
+        this.gauges.set(name, collect);
+    }
+
+    /**
+     * Выгрузка всех метрик в текстовом формате Prometheus
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+
+        for (const [name, { type, help }] of Object.entries(DEFINITIONS)) {
+            const byLabels = this.values.get(name);
+            const collect = this.gauges.get(name);
+
+            if (!byLabels && !collect) continue;
+
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+            if (collect) {
+                lines.push(`${name} ${Number(collect()) || 0}`);
+                continue;
+            }
+
+            for (const series of byLabels.values()) {
+                if (type !== 'histogram') {
+                    lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+
+                BUCKETS.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,212 @@
+/**
+ * Разбор и нормализация телефонных номеров в формат E.164 (+380501234567).
+ * Используется ValidationService (ввод пользователя, контакт из Telegram)
+ * и WordPressAPI (проверка перед отправкой), чтобы номер проверялся одинаково.
+ */
+
+// Коды стран: код набора и допустимая длина национального номера.
+// trunk - префикс национального формата, задан только для страны по умолчанию
+const PHONE_COUNTRIES = {
+    UA: { code: '380', min: 9, max: 9, trunk: '0' },
+    PL: { code: '48', min: 9, max: 9 },
+    DE: { code: '49', min: 7, max: 11 },
+    CZ: { code: '420', min: 9, max: 9 },
+    SK: { code: '421', min: 9, max: 9 },
+    HU: { code: '36', min: 8, max: 9 },
+    RO: { code: '40', min: 9, max: 9 },
+    MD: { code: '373', min: 8, max: 8 },
+    LT: { code: '370', min: 8, max: 8 },
+    LV: { code: '371', min: 8, max: 8 },
+    EE: { code: '372', min: 7, max: 8 },
+    GB: { code: '44', min: 10, max: 10 },
+    IE: { code: '353', min: 7, max: 9 },
+    US: { code: '1', min: 10, max: 10 },
+    IT: { code: '39', min: 6, max: 11 },
+    ES: { code: '34', min: 9, max: 9 },
+    PT: { code: '351', min: 9, max: 9 },
+    FR: { code: '33', min: 9, max: 9 },
+    NL: { code: '31', min: 9, max: 9 },
+    BE: { code: '32', min: 8, max: 9 },
+    AT: { code: '43', min: 7, max: 13 },
+    SE: { code: '46', min: 7, max: 9 },
+    NO: { code: '47', min: 8, max: 8 },
+    FI: { code: '358', min: 6, max: 11 },
+    DK: { code: '45', min: 8, max: 8 },
+    BG: { code: '359', min: 8, max: 9 },
+    GE: { code: '995', min: 9, max: 9 },
+    IL: { code: '972', min: 8, max: 9 },
+    TR: { code: '90', min: 10, max: 10 }
+};
+
+// Коды мобильных операторов Украины (первые две цифры после +380)
+const UA_MOBILE_OPERATORS = {
+    '39': 'kyivstar',
+    '67': 'kyivstar',
+    '68': 'kyivstar',
+    '77': 'kyivstar',
+    '96': 'kyivstar',
+    '97': 'kyivstar',
+    '98': 'kyivstar',
+    '50': 'vodafone',
+    '66': 'vodafone',
+    '75': 'vodafone',
+    '95': 'vodafone',
+    '99': 'vodafone',
+    '63': 'lifecell',
+    '73': 'lifecell',
+    '93': 'lifecell',
+    '91': '3mob',
+    '92': 'peoplenet',
+    '94': 'intertelecom'
+};
+
+// Коды ошибок parsePhone (ключи объяснений validation.phone.<code> в locales/)
+const PHONE_ERROR_CODES = [
+    'empty', 'invalid_format', 'unknown_country', 'country_not_allowed',
+    'invalid_length', 'unknown_operator'
+];
+
+// Страна, для которой принимается национальный формат (0501234567)
+const DEFAULT_COUNTRY = 'UA';
+
+// Все страны из таблицы - проверяется только формат номера
+const ALL_COUNTRIES = Object.keys(PHONE_COUNTRIES);
+
+/**
+ * Страны, номера которых принимаются (PHONE_ALLOWED_COUNTRIES, по умолчанию все страны из таблицы)
+ * @returns {Array<string>}
+ */
+function getAllowedCountries() {
+    if (!process.env.PHONE_ALLOWED_COUNTRIES) {
+        return ALL_COUNTRIES;
+    }
+
+    const list = process.env.PHONE_ALLOWED_COUNTRIES
+        .split(',')
+        .map(country => country.trim().toUpperCase())
+        .filter(country => PHONE_COUNTRIES[country]);
+
+    return list.length > 0 ? list : ALL_COUNTRIES;
+}
+
+/**
+ * Поиск страны по международному номеру (самый длинный совпадающий код)
+ * @param {string} digits - Цифры номера без "+"
+ * @returns {string|null} Код страны ISO
+ */
+function findCountry(digits) {
+    let found = null;
+
+    for (const [country, { code }] of Object.entries(PHONE_COUNTRIES)) {
+        if (digits.startsWith(code) && (!found || code.length > PHONE_COUNTRIES[found].code.length)) {
+            found = country;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Разбор номера телефона.
+ * Принимает +380501234567, 00380501234567, 380501234567, 0501234567,
+ * а также пробелы, дефисы, точки и скобки между цифрами.
+ *
+ * Коды ошибок - PHONE_ERROR_CODES.
+ *
+ * @param {string} phone - Номер телефона
+ * @param {Array<string>} allowedCountries - Разрешенные страны (ISO)
+ * @returns {Object} { ok, value, code, details: { country, operator } }
+ */
+function parsePhone(phone, allowedCountries = getAllowedCountries()) {
+    const fail = (code, details = {}) => ({ ok: false, value: null, code, details });
+
+    if (typeof phone !== 'string' || !phone.trim()) {
+        return fail('empty');
+    }
+
+    let cleaned = phone.trim().replace(/[\s\-().]/g, '');
+
+    if (cleaned.startsWith('00')) {
+        cleaned = '+' + cleaned.slice(2);
+    }
+
+    if (!/^\+?\d+$/.test(cleaned)) {
+        return fail('invalid_format');
+    }
+
+    const home = PHONE_COUNTRIES[DEFAULT_COUNTRY];
+    let digits;
+
+    if (cleaned.startsWith('+')) {
+        digits = cleaned.slice(1);
+    } else if (cleaned.startsWith(home.code)) {
+        // Номер с кодом страны, но без "+" (так его часто присылает Telegram)
+        digits = cleaned;
+    } else if (cleaned.startsWith(home.trunk)) {
+        digits = home.code + cleaned.slice(home.trunk.length);
+    } else {
+        return fail('invalid_format');
+    }
+
+    // E.164 допускает не более 15 цифр
+    if (digits.length > 15) {
+        return fail('invalid_length');
+    }
+
+    const country = findCountry(digits);
+
+    if (!country) {
+        return fail('unknown_country');
+    }
+
+    if (!allowedCountries.includes(country)) {
+        return fail('country_not_allowed', { country });
+    }
+
+    const rules = PHONE_COUNTRIES[country];
+    let national = digits.slice(rules.code.length);
+
+    // Лишний префикс после кода страны: +38 0 (050) 123-45-67 -> +380501234567
+    if (rules.trunk && national.length === rules.max + rules.trunk.length && national.startsWith(rules.trunk)) {
+        national = national.slice(rules.trunk.length);
+        digits = rules.code + national;
+    }
+
+    if (national.length < rules.min || national.length > rules.max) {
+        return fail('invalid_length', { country });
+    }
+
+    const details = { country, operator: null };
+
+    if (country === 'UA') {
+        const operatorCode = national.slice(0, 2);
+        details.operator = UA_MOBILE_OPERATORS[operatorCode] || null;
+
+        if (!details.operator) {
+            return fail('unknown_operator', { country, code: `0${operatorCode}` });
+        }
+    }
+
+    return { ok: true, value: `+${digits}`, code: null, details };
+}
+
+/**
+ * Нормализация номера в E.164 без учета списка разрешенных стран
+ * (некорректный номер возвращается как есть)
+ * @param {string} phone - Номер телефона
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+    const result = parsePhone(phone, ALL_COUNTRIES);
+    return result.ok ? result.value : phone;
+}
+
+module.exports = {
+    PHONE_COUNTRIES,
+    ALL_COUNTRIES,
+    UA_MOBILE_OPERATORS,
+    PHONE_ERROR_CODES,
+    getAllowedCountries,
+    parsePhone,
+    normalizePhone
+};